@@ -6,47 +6,206 @@ import figlet from 'figlet';
 import gradient from 'gradient-string';
 import { ChatApp } from './src/ChatApp.js';
 import { ConfigManager } from './src/ConfigManager.js';
+import { ConfigSchema } from './src/ConfigSchema.js';
 import { UpdateChecker } from './src/UpdateChecker.js';
-
-// ASCII Art Header
-console.log(
-  gradient.rainbow(
-    figlet.textSync('BizChat CLI', {
-      font: 'Small',
-      horizontalLayout: 'default',
-      verticalLayout: 'default'
-    })
-  )
-);
-
-console.log(chalk.cyan.bold('\n🚀 Terminal-based chat client for workers-chat\n'));
+import { HistoryStore } from './src/HistoryStore.js';
+import { TranscriptExporter } from './src/TranscriptExporter.js';
+import { MessageSender } from './src/MessageSender.js';
+import { RoomTail } from './src/RoomTail.js';
+import { RoomManager } from './src/RoomManager.js';
+import { RoomDirectory } from './src/RoomDirectory.js';
+import { SecretStore } from './src/SecretStore.js';
+import { ServerEndpoint } from './src/ServerEndpoint.js';
+import { ProxyResolver } from './src/ProxyResolver.js';
+import { ConnectionDoctor } from './src/ConnectionDoctor.js';
+import { ChatServer } from './src/ChatServer.js';
+import { TraceRecorder } from './src/TraceRecorder.js';
+import { TraceReplayer } from './src/TraceReplayer.js';
+import { TextSanitizer } from './src/TextSanitizer.js';
+import inquirer from 'inquirer';
+import fs from 'fs';
 
 const configManager = new ConfigManager();
 const updateChecker = new UpdateChecker();
 
-// Check for updates on startup (non-blocking)
-(async () => {
+// Commands that take over the terminal; anything printed later lands on top of them
+const FULL_SCREEN_COMMANDS = ['chat', 'replay'];
+
+function showBanner() {
+  // ASCII Art Header
+  console.log(
+    gradient.rainbow(
+      figlet.textSync('BizChat CLI', {
+        font: 'Small',
+        horizontalLayout: 'default',
+        verticalLayout: 'default'
+      })
+    )
+  );
+
+  console.log(chalk.cyan.bold('\n🚀 Terminal-based chat client for workers-chat\n'));
+}
+
+function checkForUpdatesOnStartup() {
+  // Check for updates on startup (non-blocking)
+  (async () => {
+    try {
+      const updateInfo = await updateChecker.checkForUpdates();
+      if (updateInfo && updateInfo.hasUpdate) {
+        updateChecker.displayUpdateNotification(updateInfo);
+      }
+    } catch (error) {
+      // Silently ignore update check errors on startup
+    }
+  })();
+}
+
+// Username from -u, falling back to the global config
+function resolveUsername(options) {
+  return options.username || configManager.getUsername();
+}
+
+// Config keys that fill the command option of the same name when it wasn't
+// given on the command line. Usernames go through resolveUsername instead.
+const CONFIG_OPTIONS = ['host', 'caFile', 'insecure', 'proxy', 'room', 'historyLines', 'history', 'reconnectMaxDelay', 'richText'];
+
+function applyConfigDefaults(command) {
+  // `config` commands edit the settings, so they only ever see what was typed
+  for (let parent = command; parent; parent = parent.parent) {
+    if (parent === config) return;
+  }
+
+  for (const key of CONFIG_OPTIONS) {
+    const hasOption = command.options.some(option => option.attributeName() === key);
+    if (!hasOption || command.getOptionValueSource(key) === 'cli') continue;
+
+    const { value, source } = configManager.resolveConfig(key);
+    if (source && source !== 'default') {
+      command.setOptionValueWithSource(key, value, 'config');
+    }
+  }
+}
+
+// Proxy from --proxy or the config, falling back to HTTPS_PROXY and friends
+function createProxyResolver(options) {
+  const { value, source } = configManager.resolveConfig('proxy');
+  const proxy = options.proxy || value;
+  return new ProxyResolver({
+    proxy,
+    proxySource: proxy === value ? source : '--proxy',
+    noProxy: configManager.getConfig('noProxy')
+  });
+}
+
+// Parse -h together with the TLS and proxy options; exits when either is unusable
+function resolveEndpoint(options) {
+  let endpoint;
   try {
-    const updateInfo = await updateChecker.checkForUpdates();
-    if (updateInfo && updateInfo.hasUpdate) {
-      updateChecker.displayUpdateNotification(updateInfo);
+    endpoint = ServerEndpoint.parse(options.host, {
+      caFile: options.caFile,
+      insecure: options.insecure,
+      proxy: createProxyResolver(options)
+    });
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  if (endpoint.secure && endpoint.insecure) {
+    console.error(chalk.yellow(`⚠️  Not checking the TLS certificate of ${endpoint.host} (--insecure)`));
+  }
+  return endpoint;
+}
+
+// Password from -p, then the secrets store (when the environment can unlock
+// it, since scripts can't answer a prompt), then one saved by older versions
+function resolvePassword(options, hostname) {
+  if (options.password) return options.password;
+
+  const secrets = new SecretStore();
+  if (secrets.exists() && secrets.hasEnvCredentials()) {
+    try {
+      secrets.unlock();
+      const password = secrets.get(hostname, options.room);
+      if (password) return password;
+    } catch (error) {
+      console.error(chalk.yellow(`⚠️  ${error.message}`));
     }
+  }
+  return configManager.getRoomPassword(hostname, options.room);
+}
+
+// Protocol trace for --trace-file, or for --debug in the default place
+function createTrace(meta) {
+  const { debug, traceFile } = program.opts();
+  if (!debug && !traceFile) return null;
+
+  const file = traceFile || TraceRecorder.getDefaultFile();
+  try {
+    const trace = new TraceRecorder(file, { client: `bizchat ${program.version()}`, ...meta });
+    console.error(chalk.gray(`Recording a protocol trace to ${file}`));
+    return trace;
   } catch (error) {
-    // Silently ignore update check errors on startup
+    console.error(chalk.red('❌ Could not open the trace file:'), error.message);
+    process.exit(1);
+  }
+}
+
+// Unlock the secrets store, asking for the passphrase when there's a terminal
+async function openSecretStore() {
+  const secrets = new SecretStore();
+  if (!secrets.hasEnvCredentials() && !process.stdin.isTTY) {
+    throw new Error('Set BIZCHAT_SECRETS_PASSPHRASE or BIZCHAT_SECRETS_KEY to use the secrets store without a terminal');
   }
-})();
+  await secrets.unlockWith(inquirer.prompt);
+  return secrets;
+}
 
 // Set program info
 program
   .name('bizchat')
   .description('CLI client for workers-chat')
-  .version('1.0.4');
+  .version('1.0.4')
+  .option('-q, --quiet', 'skip the banner and the update check')
+  .option('--profile <name>', 'use a named config profile for this command')
+  .option('--debug', 'show protocol debug messages and record a trace in ~/.bizchat/traces')
+  .option('--trace-file <file>', 'record every WebSocket frame and connection event to this JSONL file');
+
+// Banner and update check run before every command unless --quiet is given.
+// The banner is for people, so it is also left out when stdout is piped.
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const { profile } = actionCommand.optsWithGlobals();
+  if (profile) {
+    if (!configManager.hasProfile(profile)) {
+      console.error(chalk.red(`❌ Unknown profile: ${profile}`));
+      console.error(chalk.gray('List profiles with: bizchat config profile list'));
+      process.exit(1);
+    }
+    configManager.setProfileOverride(profile);
+  }
+  applyConfigDefaults(actionCommand);
+  try {
+    updateChecker.setProxy(createProxyResolver(actionCommand.opts()));
+  } catch (error) {
+    // A bad proxy is reported by the commands that connect; the update check just fails
+  }
+
+  if (!actionCommand.optsWithGlobals().quiet) {
+    if (process.stdout.isTTY) {
+      showBanner();
+    }
+    // The chat screen checks for updates itself and shows them in its header.
+    // Piped output (tail --json, room IDs, config get) must stay machine-readable.
+    if (process.stdout.isTTY && !FULL_SCREEN_COMMANDS.includes(actionCommand.name())) {
+      checkForUpdatesOnStartup();
+    }
+  }
+});
 
 // Config command
-program
+const config = program
   .command('config')
-  .description('Manage global configuration')
-  .option('--set-username <username>', 'set global username')
+  .description('Manage configuration and profiles')
+  .option('--set-username <username>', 'set global username (or the --profile one)')
   .option('--get-username', 'get current global username')
   .option('--list', 'list all configuration')
   .option('--clear', 'clear all configuration')
@@ -57,8 +216,9 @@ program
         console.error(chalk.red('❌ Username must be 32 characters or less'));
         process.exit(1);
       }
-      if (configManager.setUsername(options.setUsername)) {
-        console.log(chalk.green(`✅ Username set to: ${options.setUsername}`));
+      const profile = program.opts().profile || null;
+      if (configManager.setUsername(options.setUsername, profile)) {
+        console.log(chalk.green(`✅ Username set to: ${options.setUsername}${profile ? ` (profile ${profile})` : ''}`));
         console.log(chalk.gray(`Config saved to: ${configManager.getConfigPath()}`));
       } else {
         console.error(chalk.red('❌ Failed to save username'));
@@ -85,16 +245,25 @@ program
         console.error(chalk.red('❌ Failed to check for updates:'), error.message);
       }
     } else if (options.list) {
-      const config = configManager.getAllConfig();
-      if (Object.keys(config).length === 0) {
+      const entries = configManager.getConfigEntries();
+      const activeProfile = configManager.getActiveProfileName();
+      if (activeProfile) {
+        console.log(chalk.cyan(`Active profile: ${activeProfile}`));
+      }
+      if (entries.length === 0) {
         console.log(chalk.yellow('No configuration found'));
       } else {
         console.log(chalk.cyan('Current configuration:'));
-        for (const [key, value] of Object.entries(config)) {
-          console.log(chalk.gray(`  ${key}: ${value}`));
+        for (const { key, value, source } of entries) {
+          console.log(chalk.gray(`  ${key}: ${value}  (${source})`));
         }
       }
       console.log(chalk.gray(`\nConfig file: ${configManager.getConfigPath()}`));
+      const projectFile = configManager.findProjectFile();
+      if (projectFile) {
+        console.log(chalk.gray(`Project file: ${projectFile}`));
+      }
+      console.log(chalk.gray('Precedence: flag > env > project > profile > global > default'));
     } else if (options.clear) {
       if (configManager.clearConfig()) {
         console.log(chalk.green('✅ Configuration cleared'));
@@ -107,18 +276,205 @@ program
     }
   });
 
+config
+  .command('get')
+  .description('Print the value of a config key (and where it came from)')
+  .argument('<key>', 'config key, e.g. host or history-lines')
+  .action((key) => {
+    if (!ConfigSchema.get(key) || ConfigSchema.isInternal(key)) {
+      console.error(chalk.red(`❌ Unknown config key "${key}". Known keys: ${ConfigSchema.keys().join(', ')}`));
+      process.exit(1);
+    }
+
+    const { value, source } = configManager.resolveConfig(key);
+    if (source === null) {
+      process.exit(1);
+    }
+    // The bare value when piped, so scripts can use $(bizchat config get host)
+    if (process.stdout.isTTY) {
+      console.log(`${value}  ${chalk.gray(`(${source})`)}`);
+    } else {
+      console.log(String(value));
+    }
+  });
+
+config
+  .command('set')
+  .description('Set a config key globally (or in the --profile one)')
+  .argument('<key>', 'config key')
+  .argument('<value>', 'new value')
+  .action((key, rawValue) => {
+    const profile = program.opts().profile || null;
+    const name = ConfigSchema.normalizeKey(key);
+    let value;
+    try {
+      value = ConfigSchema.parse(name, rawValue);
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+
+    if (!configManager.setConfig(name, value, profile)) {
+      console.error(chalk.red('❌ Failed to save configuration'));
+      process.exit(1);
+    }
+    console.log(chalk.green(`✅ ${name} set to: ${value}${profile ? ` (profile ${profile})` : ''}`));
+
+    // Say so when something with higher precedence still wins
+    const { source } = configManager.resolveConfig(name);
+    if (source !== (profile ? `profile ${profile}` : 'global')) {
+      console.log(chalk.yellow(`⚠️  The value from ${source} takes precedence`));
+    }
+  });
+
+config
+  .command('unset')
+  .description('Remove a config key globally (or from the --profile one)')
+  .argument('<key>', 'config key')
+  .action((key) => {
+    const profile = program.opts().profile || null;
+    const name = ConfigSchema.normalizeKey(key);
+    if (!ConfigSchema.get(name) || ConfigSchema.isInternal(name)) {
+      console.error(chalk.red(`❌ Unknown config key "${key}". Known keys: ${ConfigSchema.keys().join(', ')}`));
+      process.exit(1);
+    }
+
+    if (!configManager.unsetConfig(name, profile)) {
+      console.log(chalk.yellow(`${name} was not set${profile ? ` in profile ${profile}` : ''}`));
+      return;
+    }
+    const { value, source } = configManager.resolveConfig(name);
+    console.log(chalk.green(`✅ Unset ${name}${source ? `; now ${value} (${source})` : ''}`));
+  });
+
+// Named profiles, e.g. one per server or identity
+const profile = config
+  .command('profile')
+  .description('Manage named config profiles (host, username, default rooms, ...)');
+
+profile
+  .command('create')
+  .description('Create a profile, or replace one with the same name')
+  .argument('<name>', 'profile name')
+  .option('-h, --host <host>', 'chat server host or URL (http, https, ws, wss)')
+  .option('--ca-file <file>', 'CA certificate (PEM) to trust for this server')
+  .option('--insecure', 'skip TLS certificate checks for this server')
+  .option('--proxy <url>', 'proxy for this server (http, https, socks5), or "direct"')
+  .option('-u, --username <username>', 'username')
+  .option('-r, --room <room>', 'default rooms to join (comma-separated)')
+  .option('--history-lines <count>', 'stored messages to show when joining')
+  .option('--reconnect-max-delay <seconds>', 'longest wait between reconnect attempts')
+  .option('--use', 'make it the active profile')
+  .action((name, options, command) => {
+    if (!ConfigManager.isValidProfileName(name)) {
+      console.error(chalk.red('❌ Profile names may only use letters, digits, "-" and "_" (up to 32)'));
+      process.exit(1);
+    }
+    const values = {};
+    try {
+      // Only what was typed: values filled in from the current config don't belong in the profile
+      for (const key of ['host', 'caFile', 'insecure', 'proxy', 'username', 'room', 'historyLines', 'reconnectMaxDelay']) {
+        if (command.getOptionValueSource(key) === 'cli') values[key] = ConfigSchema.parse(key, options[key]);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+
+    const replaced = configManager.hasProfile(name);
+    if (!configManager.createProfile(name, values) || (options.use && !configManager.useProfile(name))) {
+      console.error(chalk.red('❌ Failed to save profile'));
+      process.exit(1);
+    }
+    console.log(chalk.green(`✅ ${replaced ? 'Replaced' : 'Created'} profile: ${name}${options.use ? ' (active)' : ''}`));
+    if (!options.use) {
+      console.log(chalk.gray(`Use it with: bizchat --profile ${name} chat, or make it the default: bizchat config profile use ${name}`));
+    }
+  });
+
+profile
+  .command('use')
+  .description('Make a profile the default for every command')
+  .argument('[name]', 'profile name')
+  .option('--none', 'go back to global settings only')
+  .action((name, options) => {
+    if (options.none) {
+      configManager.useProfile(null);
+      console.log(chalk.green('✅ No active profile; using global settings'));
+      return;
+    }
+    if (!name) {
+      console.error(chalk.red('❌ Give a profile name, or --none'));
+      process.exit(1);
+    }
+    if (!configManager.hasProfile(name)) {
+      console.error(chalk.red(`❌ Unknown profile: ${name}`));
+      process.exit(1);
+    }
+    if (!configManager.useProfile(name)) {
+      console.error(chalk.red('❌ Failed to save configuration'));
+      process.exit(1);
+    }
+    console.log(chalk.green(`✅ Active profile: ${name}`));
+  });
+
+profile
+  .command('list')
+  .description('List profiles; * marks the active one')
+  .action(() => {
+    const profiles = configManager.getProfiles();
+    const active = configManager.getActiveProfileName();
+    if (Object.keys(profiles).length === 0) {
+      console.log(chalk.yellow('No profiles'));
+      console.log(chalk.gray('Use: bizchat config profile create <name> --host <host> --username <username>'));
+      return;
+    }
+
+    for (const [name, values] of Object.entries(profiles)) {
+      console.log(name === active ? chalk.green(`* ${name} (active)`) : `  ${name}`);
+      for (const [key, value] of Object.entries(values)) {
+        console.log(chalk.gray(`    ${key}: ${value}`));
+      }
+    }
+  });
+
+profile
+  .command('delete')
+  .description('Delete a profile')
+  .argument('<name>', 'profile name')
+  .action((name) => {
+    if (!configManager.hasProfile(name)) {
+      console.error(chalk.red(`❌ Unknown profile: ${name}`));
+      process.exit(1);
+    }
+    if (!configManager.deleteProfile(name)) {
+      console.error(chalk.red('❌ Failed to save configuration'));
+      process.exit(1);
+    }
+    console.log(chalk.green(`✅ Deleted profile: ${name}`));
+  });
+
 // Main chat command
 program
   .command('chat', { isDefault: true })
   .description('Start chat session')
-  .option('-h, --host <host>', 'chat server hostname', 'https://biz-chat-server.sreeragh-bizmo.workers.dev')
+  .option('-h, --host <host>', 'chat server host or URL (http, https, ws, wss)', 'https://biz-chat-server.sreeragh-bizmo.workers.dev')
+  .option('--ca-file <file>', 'trust the CA certificate in this PEM file')
+  .option('--insecure', 'skip TLS certificate checks (self-signed test servers only)')
+  .option('--proxy <url>', 'proxy for this server (http, https, socks5), or "direct"')
   .option('-u, --username <username>', 'your username (overrides global config)')
-  .option('-r, --room <room>', 'room to join')
+  .option('-r, --room <room>', 'room to join (comma-separate to join several)')
+  .option('-p, --password <password>', 'room password (if required)')
+  .option('--save-password', 'remember the room password once it is accepted')
+  .option('--reconnect-max-delay <seconds>', 'longest wait between reconnect attempts', '30')
+  .option('--history-lines <count>', 'number of stored messages to show when joining', '50')
+  .option('--no-history', 'do not read or write local chat history')
+  .option('--no-rich-text', 'show messages as plain text, without Markdown formatting')
   .action(async (options) => {
     try {
       // Check for global username if not provided
       if (!options.username) {
-        const globalUsername = configManager.getUsername();
+        const globalUsername = resolveUsername(options);
         if (globalUsername) {
           options.username = globalUsername;
           console.log(chalk.gray(`Hey ${globalUsername}`));
@@ -131,9 +487,20 @@ program
         }
       }
 
+      const endpoint = resolveEndpoint(options);
       const app = new ChatApp({
         ...options,
-        updateChecker // Pass the update checker to the chat app
+        endpoint,
+        debug: program.opts().debug === true,
+        trace: createTrace({ command: 'chat', host: endpoint.key, username: options.username }),
+        // Pass the update checker to the chat app, unless --quiet turned update checks off
+        updateChecker: program.opts().quiet ? null : updateChecker,
+        configManager,
+        secretStore: new SecretStore(),
+        historyRetention: {
+          maxEntries: configManager.getConfig('historyMaxEntries') ?? undefined,
+          maxAgeDays: configManager.getConfig('historyMaxAgeDays') ?? undefined
+        }
       });
       await app.start();
     } catch (error) {
@@ -144,6 +511,591 @@ program
 
 
 
+// Headless send command
+program
+  .command('send')
+  .description('Send a message to a room without the interactive UI (reads stdin lines if no message is given)')
+  .argument('[message...]', 'message to send')
+  .requiredOption('-r, --room <room>', 'room to send to')
+  .option('-h, --host <host>', 'chat server host or URL (http, https, ws, wss)', 'https://biz-chat-server.sreeragh-bizmo.workers.dev')
+  .option('--ca-file <file>', 'trust the CA certificate in this PEM file')
+  .option('--insecure', 'skip TLS certificate checks (self-signed test servers only)')
+  .option('--proxy <url>', 'proxy for this server (http, https, socks5), or "direct"')
+  .option('-u, --username <username>', 'name to send as (overrides global config)')
+  .option('-p, --password <password>', 'room password (if required)')
+  .option('-t, --timeout <seconds>', 'how long to wait for the connection and each confirmation', '10')
+  .action(async (words, options) => {
+    const username = resolveUsername(options);
+    if (!username) {
+      console.error(chalk.red('❌ No username configured. Use -u <username> or: bizchat config --set-username <username>'));
+      process.exit(1);
+    }
+
+    let messages;
+    if (words.length > 0) {
+      messages = [words.join(' ')];
+    } else if (!process.stdin.isTTY) {
+      const input = await new Promise((resolve, reject) => {
+        let data = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => { data += chunk; });
+        process.stdin.on('end', () => resolve(data));
+        process.stdin.on('error', reject);
+      });
+      messages = input.split(/\r?\n/).filter(line => line.trim());
+    } else {
+      console.error(chalk.red('❌ No message given. Pass it as an argument or pipe lines on stdin.'));
+      process.exit(1);
+    }
+
+    if (messages.length === 0) {
+      console.error(chalk.red('❌ Nothing to send: stdin was empty'));
+      process.exit(1);
+    }
+
+    const timeout = Number(options.timeout) > 0 ? Number(options.timeout) * 1000 : 10000;
+    const endpoint = resolveEndpoint(options);
+    const sender = new MessageSender(endpoint, {
+      username,
+      roomname: options.room,
+      password: resolvePassword(options, endpoint.key),
+      timeout
+    });
+    const trace = createTrace({ command: 'send', host: endpoint.key, username });
+    if (trace) trace.attach(sender.client, options.room);
+
+    let sent = 0;
+    try {
+      await sender.open();
+      for (const message of messages) {
+        await sender.send(message);
+        sent++;
+      }
+      sender.close();
+      if (!program.opts().quiet) {
+        console.log(chalk.green(`✅ Sent ${messages.length} message${messages.length === 1 ? '' : 's'} to #${options.room}`));
+      }
+      process.exit(0);
+    } catch (error) {
+      sender.close();
+      const progress = messages.length > 1 ? ` after ${sent} of ${messages.length} messages` : '';
+      console.error(chalk.red(`❌ Send failed${progress}:`), TextSanitizer.clean(error.message));
+      process.exit(1);
+    }
+  });
+
+// Stream room events as NDJSON
+program
+  .command('tail')
+  .description('Print room events (message, joined, quit, error, ready) as one JSON object per line')
+  .requiredOption('-r, --room <room>', 'room to watch')
+  .option('-h, --host <host>', 'chat server host or URL (http, https, ws, wss)', 'https://biz-chat-server.sreeragh-bizmo.workers.dev')
+  .option('--ca-file <file>', 'trust the CA certificate in this PEM file')
+  .option('--insecure', 'skip TLS certificate checks (self-signed test servers only)')
+  .option('--proxy <url>', 'proxy for this server (http, https, socks5), or "direct"')
+  .option('-u, --username <username>', 'name to join as (overrides global config)')
+  .option('-p, --password <password>', 'room password (if required)')
+  .option('--from <user>', 'only events from this user (repeatable)', (value, previous) => [...previous, value], [])
+  .option('--match <regex>', 'only messages whose text matches this regular expression')
+  .option('-i, --ignore-case', 'make --match case-insensitive')
+  .option('-n, --count <n>', 'exit after printing this many events')
+  .option('--no-backlog', 'skip the roster and recent messages the server replays on join')
+  .option('--read-only', 'ask the server not to announce your presence (where supported)')
+  .action(async (options) => {
+    const username = resolveUsername(options);
+    if (!username) {
+      console.error(chalk.red('❌ No username configured. Use -u <username> or: bizchat config --set-username <username>'));
+      process.exit(1);
+    }
+
+    let match = null;
+    if (options.match) {
+      try {
+        match = new RegExp(options.match, options.ignoreCase ? 'i' : '');
+      } catch (error) {
+        console.error(chalk.red('❌ Invalid --match pattern:'), error.message);
+        process.exit(1);
+      }
+    }
+
+    const limit = options.count !== undefined ? Number(options.count) : Infinity;
+    if (!(limit > 0)) {
+      console.error(chalk.red('❌ --count must be a positive number'));
+      process.exit(1);
+    }
+
+    // Exit quietly when the reader goes away, e.g. piping into head
+    process.stdout.on('error', (error) => {
+      if (error.code === 'EPIPE') process.exit(0);
+    });
+
+    const endpoint = resolveEndpoint(options);
+    const tail = new RoomTail(endpoint, {
+      roomname: options.room,
+      username,
+      from: options.from.length > 0 ? options.from : null,
+      match,
+      includeBacklog: options.backlog,
+      readOnly: options.readOnly,
+      password: resolvePassword(options, endpoint.key)
+    });
+    const trace = createTrace({ command: 'tail', host: endpoint.key, username });
+    if (trace) trace.attach(tail.client, options.room);
+
+    let printed = 0;
+    tail.on('event', (event) => {
+      process.stdout.write(JSON.stringify(event) + '\n');
+      printed++;
+      if (printed >= limit) {
+        tail.stop();
+        process.exit(0);
+      }
+    });
+
+    // Diagnostics go to stderr so stdout stays valid NDJSON. They can quote
+    // the server, so they are cleaned like anything else shown in the terminal.
+    tail.on('warning', (warning) => console.error(chalk.yellow(`⚠️  ${TextSanitizer.clean(warning)}`)));
+    tail.on('debug', ({ message, frame }) => {
+      const detail = `${message}${frame ? `: ${typeof frame === 'string' ? frame : JSON.stringify(frame)}` : ''}`;
+      console.error(chalk.gray(TextSanitizer.clean(detail)));
+    });
+    tail.on('authFailed', (error) => {
+      console.error(chalk.red('❌ Could not join:'), TextSanitizer.clean(error));
+      process.exit(1);
+    });
+    tail.on('gaveUp', (attempts) => {
+      console.error(chalk.red(`❌ Gave up reconnecting after ${attempts} attempts`));
+      process.exit(1);
+    });
+
+    try {
+      await tail.start();
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to connect:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Room management
+const room = program
+  .command('room')
+  .description('Create rooms and manage favorites');
+
+room
+  .command('create')
+  .description('Create a room and print its ID')
+  .argument('[name]', 'room name (the server picks an ID if omitted)')
+  .option('-h, --host <host>', 'chat server host or URL (http, https, ws, wss)', 'https://biz-chat-server.sreeragh-bizmo.workers.dev')
+  .option('--ca-file <file>', 'trust the CA certificate in this PEM file')
+  .option('--insecure', 'skip TLS certificate checks (self-signed test servers only)')
+  .option('--proxy <url>', 'proxy for this server (http, https, socks5), or "direct"')
+  .option('--private', 'create a private room that can only be joined by its ID')
+  .option('-p, --password <password>', 'password required to join (where the server supports it)')
+  .option('--save-password', 'remember the password for the new room')
+  .action(async (name, options) => {
+    const problem = name ? RoomManager.validateRoomName(name) : null;
+    if (problem) {
+      console.error(chalk.red(`❌ ${problem}`));
+      process.exit(1);
+    }
+
+    const endpoint = resolveEndpoint(options);
+    const roomManager = new RoomManager(endpoint);
+
+    let roomId;
+    try {
+      roomId = await roomManager.createRoom(name, { private: options.private, password: options.password });
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to create room:'), error.message);
+      process.exit(1);
+    }
+
+    if (options.password && options.savePassword) {
+      try {
+        const secrets = await openSecretStore();
+        secrets.set(endpoint.key, roomId, options.password);
+      } catch (error) {
+        console.error(chalk.yellow('⚠️  Room created, but the password was not saved:'), error.message);
+      }
+    }
+
+    // The bare ID on stdout, so scripts can capture it
+    console.log(roomId);
+    if (process.stdout.isTTY && !program.opts().quiet) {
+      console.error(chalk.gray(`Join it with: bizchat chat -r ${roomId}`));
+    }
+  });
+
+const fav = room
+  .command('fav')
+  .description('Manage favorite rooms, listed first when picking a room');
+
+fav
+  .command('add')
+  .description('Add a room to your favorites')
+  .argument('<room>', 'room name or ID')
+  .option('-h, --host <host>', 'chat server host or URL (http, https, ws, wss)', 'https://biz-chat-server.sreeragh-bizmo.workers.dev')
+  .action((roomname, options) => {
+    const problem = RoomManager.validateRoomName(roomname);
+    if (problem) {
+      console.error(chalk.red(`❌ ${problem}`));
+      process.exit(1);
+    }
+
+    const directory = new RoomDirectory(resolveEndpoint(options).key);
+    if (directory.isFavorite(roomname)) {
+      console.log(chalk.yellow(`#${roomname} is already a favorite`));
+    } else if (directory.addFavorite(roomname)) {
+      console.log(chalk.green(`✅ Added #${roomname} to favorites`));
+    } else {
+      console.error(chalk.red('❌ Failed to save favorites'));
+      process.exit(1);
+    }
+  });
+
+fav
+  .command('remove')
+  .description('Remove a room from your favorites')
+  .argument('<room>', 'room name or ID')
+  .option('-h, --host <host>', 'chat server host or URL (http, https, ws, wss)', 'https://biz-chat-server.sreeragh-bizmo.workers.dev')
+  .action((roomname, options) => {
+    const directory = new RoomDirectory(resolveEndpoint(options).key);
+    if (!directory.isFavorite(roomname)) {
+      console.error(chalk.yellow(`#${roomname} is not a favorite`));
+      process.exit(1);
+    }
+    if (directory.removeFavorite(roomname)) {
+      console.log(chalk.green(`✅ Removed #${roomname} from favorites`));
+    } else {
+      console.error(chalk.red('❌ Failed to save favorites'));
+      process.exit(1);
+    }
+  });
+
+fav
+  .command('list')
+  .description('List favorite and recently joined rooms')
+  .option('-h, --host <host>', 'chat server host or URL (http, https, ws, wss)', 'https://biz-chat-server.sreeragh-bizmo.workers.dev')
+  .action((options) => {
+    const directory = new RoomDirectory(resolveEndpoint(options).key);
+    const favorites = directory.getFavorites();
+    const recent = directory.getRecent();
+
+    if (favorites.length === 0 && recent.length === 0) {
+      console.log(chalk.yellow(`No favorite or recent rooms for ${directory.hostname}`));
+      console.log(chalk.gray('Use: bizchat room fav add <room>'));
+      return;
+    }
+
+    console.log(chalk.cyan('Favorites:'));
+    favorites.forEach(name => console.log(`  ★ ${name}`));
+    if (favorites.length === 0) console.log(chalk.gray('  none'));
+
+    console.log(chalk.cyan('Recent:'));
+    recent.forEach(({ name, lastVisited }) => {
+      console.log(`  ${name} ${chalk.gray(`(${RoomDirectory.formatAge(lastVisited)})`)}`);
+    });
+    if (recent.length === 0) console.log(chalk.gray('  none'));
+  });
+
+// Encrypted room passwords
+const secrets = program
+  .command('secrets')
+  .description('Manage room passwords in the encrypted secrets store');
+
+secrets
+  .command('set')
+  .description('Remember the password for a room (asked for, or read from stdin)')
+  .requiredOption('-r, --room <room>', 'room the password is for')
+  .option('-h, --host <host>', 'chat server host or URL (http, https, ws, wss)', 'https://biz-chat-server.sreeragh-bizmo.workers.dev')
+  .action(async (options) => {
+    const hostname = resolveEndpoint(options).key;
+    try {
+      let password;
+      if (process.stdin.isTTY) {
+        ({ password } = await inquirer.prompt([
+          {
+            type: 'password',
+            name: 'password',
+            message: `Password for #${options.room}:`,
+            mask: '*',
+            validate: (input) => input.length > 0 || 'Password cannot be empty'
+          }
+        ]));
+      } else {
+        // Piped in so it never shows up in shell history or `ps`
+        password = await new Promise((resolve, reject) => {
+          let data = '';
+          process.stdin.setEncoding('utf8');
+          process.stdin.on('data', chunk => { data += chunk; });
+          process.stdin.on('end', () => resolve(data.replace(/\r?\n$/, '')));
+          process.stdin.on('error', reject);
+        });
+        if (!password) throw new Error('No password on stdin');
+      }
+
+      const store = await openSecretStore();
+      store.set(hostname, options.room, password);
+      console.log(chalk.green(`✅ Saved the password for #${options.room} on ${hostname}`));
+    } catch (error) {
+      console.error(chalk.red('❌ Could not save the password:'), error.message);
+      process.exit(1);
+    }
+  });
+
+secrets
+  .command('list')
+  .description('List rooms with a saved password (never the passwords themselves)')
+  .action(async () => {
+    const legacy = Object.keys(configManager.getLegacyRoomPasswords()).length;
+    if (legacy > 0) {
+      console.log(chalk.yellow(`⚠️  ${legacy} password${legacy === 1 ? ' is' : 's are'} stored unencrypted in config.json. Move them with: bizchat secrets import`));
+    }
+    if (!new SecretStore().exists()) {
+      console.log(chalk.yellow('No secrets stored'));
+      return;
+    }
+
+    try {
+      const entries = (await openSecretStore()).list();
+      if (entries.length === 0) {
+        console.log(chalk.yellow('No secrets stored'));
+        return;
+      }
+      console.log(chalk.cyan('Saved room passwords:'));
+      for (const { host, room: roomname, updatedAt } of entries) {
+        console.log(`  ${host}  #${roomname}  ${chalk.gray(`(updated ${updatedAt})`)}`);
+      }
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+secrets
+  .command('remove')
+  .description('Forget the password for a room')
+  .requiredOption('-r, --room <room>', 'room to forget')
+  .option('-h, --host <host>', 'chat server host or URL (http, https, ws, wss)', 'https://biz-chat-server.sreeragh-bizmo.workers.dev')
+  .action(async (options) => {
+    const hostname = resolveEndpoint(options).key;
+    try {
+      const store = await openSecretStore();
+      if (!store.remove(hostname, options.room)) {
+        console.error(chalk.yellow(`No saved password for #${options.room} on ${hostname}`));
+        process.exit(1);
+      }
+      console.log(chalk.green(`✅ Removed the password for #${options.room} on ${hostname}`));
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+secrets
+  .command('import')
+  .description('Move passwords saved in plain text in config.json into the secrets store')
+  .action(async () => {
+    const legacy = configManager.getLegacyRoomPasswords();
+    const keys = Object.keys(legacy);
+    if (keys.length === 0) {
+      console.log(chalk.yellow('No plain-text passwords to import'));
+      return;
+    }
+
+    try {
+      const store = await openSecretStore();
+      for (const key of keys) {
+        // Keys are "<host>/<room>"; the host may include a base path, room names never have a slash
+        const separator = key.lastIndexOf('/');
+        store.set(key.slice(0, separator), key.slice(separator + 1), legacy[key]);
+      }
+      configManager.clearLegacyRoomPasswords();
+      console.log(chalk.green(`✅ Moved ${keys.length} password${keys.length === 1 ? '' : 's'} into the secrets store`));
+    } catch (error) {
+      console.error(chalk.red('❌ Import failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Connection diagnostics
+program
+  .command('doctor')
+  .description('Check that the chat server can be reached, and show the proxy and TLS route used')
+  .option('-h, --host <host>', 'chat server host or URL (http, https, ws, wss)', 'https://biz-chat-server.sreeragh-bizmo.workers.dev')
+  .option('--ca-file <file>', 'trust the CA certificate in this PEM file')
+  .option('--insecure', 'skip TLS certificate checks (self-signed test servers only)')
+  .option('--proxy <url>', 'proxy for this server (http, https, socks5), or "direct"')
+  .option('-t, --timeout <seconds>', 'how long to wait for each check', '10')
+  .action(async (options) => {
+    const endpoint = resolveEndpoint(options);
+    const doctor = new ConnectionDoctor(endpoint, {
+      updateChecker,
+      timeout: Number(options.timeout) > 0 ? Number(options.timeout) * 1000 : 10000
+    });
+
+    console.log(chalk.cyan(`Server: ${endpoint}`));
+    console.log(chalk.cyan(`TLS:    ${doctor.describeTls()}`));
+    console.log(chalk.cyan('\nRoutes:'));
+    for (const { name, url, route, error } of doctor.getRoutes()) {
+      console.log(`  ${name.padEnd(13)} ${chalk.gray(url)}`);
+      console.log(`  ${''.padEnd(13)} → ${route || chalk.red(error)}`);
+    }
+
+    console.log(chalk.cyan('\nChecks:'));
+    const results = await doctor.run();
+    for (const { name, ok, detail } of results) {
+      console.log(ok ? chalk.green(`  ✅ ${name}: ${detail}`) : chalk.red(`  ❌ ${name}: ${detail}`));
+    }
+    process.exit(results.every(result => result.ok) ? 0 : 1);
+  });
+
+// Local server
+program
+  .command('serve')
+  .description('Run a local workers-chat compatible server for offline use and testing')
+  .option('--port <port>', 'port to listen on', '8787')
+  .option('--bind <address>', 'address to listen on (0.0.0.0 to accept LAN connections)', '127.0.0.1')
+  .option('--backlog <count>', 'recent messages replayed to clients when they join', '100')
+  .option('--latency <ms>', 'delay every frame sent to clients', '0')
+  .option('--jitter <ms>', 'add up to this much random delay on top of --latency', '0')
+  .option('--disconnect-every <seconds>', 'drop every connection on this interval')
+  .option('--fault-api', 'accept fault injection requests under /__bizchat/')
+  .action(async (options) => {
+    const numbers = {};
+    for (const [key, flag, min] of [['port', '--port', 0], ['backlog', '--backlog', 0], ['latency', '--latency', 0], ['jitter', '--jitter', 0], ['disconnectEvery', '--disconnect-every', 1]]) {
+      if (options[key] === undefined) continue;
+      const value = Number(options[key]);
+      if (!Number.isInteger(value) || value < min) {
+        console.error(chalk.red(`❌ ${flag} must be a whole number of at least ${min}`));
+        process.exit(1);
+      }
+      numbers[key] = value;
+    }
+
+    const server = new ChatServer({
+      backlogSize: numbers.backlog,
+      latency: numbers.latency,
+      jitter: numbers.jitter,
+      disconnectEvery: numbers.disconnectEvery,
+      faultApi: options.faultApi
+    });
+    server.on('log', (line) => {
+      console.log(chalk.gray(`[${new Date().toLocaleTimeString()}] ${line}`));
+    });
+
+    let address;
+    try {
+      address = await server.listen(numbers.port, options.bind);
+    } catch (error) {
+      console.error(chalk.red('❌ Could not start the server:'), error.message);
+      process.exit(1);
+    }
+
+    // A bare host that isn't loopback would be taken as https, so the scheme is spelled out
+    const bind = options.bind.includes(':') ? `[${options.bind}]` : options.bind;
+    const host = ['127.0.0.1', '0.0.0.0', '::'].includes(options.bind) ? 'localhost' : bind;
+    console.log(chalk.green(`✅ Serving workers-chat on http://${bind}:${address.port}`));
+    console.log(chalk.gray(`Connect with: bizchat chat -h http://${host}:${address.port}`));
+    if (options.faultApi) {
+      console.log(chalk.yellow(`⚠️  Fault injection is on: POST http://${host}:${address.port}/__bizchat/disconnect, /latency or /error`));
+    }
+  });
+
+// Play back a protocol trace
+program
+  .command('replay')
+  .description('Play a protocol trace from --trace-file or --debug back in the chat interface')
+  .argument('<file>', 'trace file (JSONL)')
+  .option('--speed <factor>', 'play faster than recorded, e.g. 4 for four times as fast', '1')
+  .option('--instant', 'show everything at once')
+  .option('--max-gap <seconds>', 'shorten idle stretches to at most this long')
+  .option('--no-rich-text', 'show messages as plain text, without Markdown formatting')
+  .action(async (file, options) => {
+    let trace;
+    try {
+      trace = TraceRecorder.read(file);
+    } catch (error) {
+      console.error(chalk.red('❌ Could not read the trace:'), error.message);
+      process.exit(1);
+    }
+
+    const speed = Number(options.speed);
+    const maxGap = options.maxGap !== undefined ? Number(options.maxGap) : Infinity;
+    if (!(speed > 0) || !(maxGap > 0)) {
+      console.error(chalk.red('❌ --speed and --max-gap must be positive numbers'));
+      process.exit(1);
+    }
+
+    const replayer = new TraceReplayer(trace.records, {
+      speed: options.instant ? Infinity : speed,
+      maxGap: maxGap * 1000
+    });
+    if (replayer.getRooms().length === 0) {
+      console.error(chalk.yellow(`No room traffic in ${file}`));
+      process.exit(1);
+    }
+
+    try {
+      const app = new ChatApp({
+        host: trace.meta.host,
+        username: trace.meta.username || '',
+        history: false,
+        richText: options.richText,
+        debug: program.opts().debug === true
+      });
+      const pace = options.instant ? 'all at once' : `${speed}x speed`;
+      await app.startReplay(replayer, `${file} (${trace.meta.command || 'session'} recorded ${trace.meta.started}, ${pace})`);
+    } catch (error) {
+      console.error(chalk.red('❌ Replay failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Export command
+program
+  .command('export')
+  .description('Export a room transcript from local history')
+  .requiredOption('-r, --room <room>', 'room to export')
+  .option('-h, --host <host>', 'chat server host or URL (http, https, ws, wss)', 'https://biz-chat-server.sreeragh-bizmo.workers.dev')
+  .option('-f, --format <format>', 'md, html, json or txt', 'md')
+  .option('--since <time>', 'start time: a date (2024-05-01T12:00) or a duration ago (2h, 7d)')
+  .option('--until <time>', 'end time: a date or a duration ago')
+  .option('-o, --output <file>', 'output file, or - for stdout (default: <room>-<date>.<format>)')
+  .action((options) => {
+    try {
+      const format = TranscriptExporter.getFormat(options.format);
+      const since = options.since ? TranscriptExporter.parseTime(options.since) : undefined;
+      const until = options.until ? TranscriptExporter.parseTime(options.until) : undefined;
+
+      // History is stored under the host without its scheme, the same key ChatApp uses
+      const hostname = resolveEndpoint(options).key;
+      const history = new HistoryStore(hostname);
+      const entries = TranscriptExporter.filterByTime(history.load(options.room), since, until);
+
+      if (entries.length === 0) {
+        console.error(chalk.yellow(`No stored history for #${options.room} on ${hostname} in that range`));
+        console.error(chalk.gray(`History directory: ${history.getHostDir()}`));
+        process.exit(1);
+      }
+
+      const exporter = new TranscriptExporter({ room: options.room, host: hostname, since, until });
+      const transcript = exporter.export(entries, format);
+
+      if (options.output === '-') {
+        process.stdout.write(transcript);
+        return;
+      }
+
+      const output = options.output || TranscriptExporter.getDefaultFilename(options.room, format);
+      fs.writeFileSync(output, transcript);
+      console.log(chalk.green(`✅ Exported ${entries.length} entries to ${output}`));
+    } catch (error) {
+      console.error(chalk.red('❌ Export failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Handle Ctrl+C gracefully
 process.on('SIGINT', () => {
   console.log(chalk.yellow('\n👋 Thanks for using BizChat CLI!'));
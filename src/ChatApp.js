@@ -1,27 +1,76 @@
+import fs from 'fs';
+import path from 'path';
 import inquirer from 'inquirer';
+import inquirerAutocomplete from 'inquirer-autocomplete-prompt';
 import chalk from 'chalk';
 import boxen from 'boxen';
 import ora from 'ora';
 import { UserInterface } from './UserInterface.js';
 import { WebSocketClient } from './WebSocketClient.js';
 import { RoomManager } from './RoomManager.js';
+import { CommandRegistry } from './CommandRegistry.js';
+import { registerChatCommands } from './ChatCommands.js';
+import { HistoryStore } from './HistoryStore.js';
+import { TranscriptExporter } from './TranscriptExporter.js';
+import { LinkActions } from './LinkActions.js';
+import { RoomDirectory } from './RoomDirectory.js';
+import { ServerEndpoint } from './ServerEndpoint.js';
+import { TextSanitizer } from './TextSanitizer.js';
+
+inquirer.registerPrompt('autocomplete', inquirerAutocomplete);
+
+// Commands that only look at what is on screen, so they also work in a replay
+const REPLAY_COMMANDS = ['help', 'switch', 'rooms', 'users', 'clear', 'raw', 'links', 'export', 'quit'];
 
 export class ChatApp {
   constructor(options = {}) {
     this.options = options;
-    // Extract hostname without protocol for WebSocket URL construction
-    const rawHost = options.host || 'biz-chat-server.sreeragh-bizmo.workers.dev';
-    this.hostname = rawHost.replace(/^https?:\/\//, ''); // Remove protocol if present
-    this.protocol = 'https:';
-    this.wsProtocol = 'wss:';
+    // One parsed endpoint builds every URL; its scheme-less key files history and passwords
+    this.endpoint = options.endpoint || ServerEndpoint.parse(options.host || 'biz-chat-server.sreeragh-bizmo.workers.dev', {
+      caFile: options.caFile,
+      insecure: options.insecure
+    });
+    this.hostname = this.endpoint.key;
     
     this.username = options.username || '';
-    this.roomname = options.room || '';
+    // -r accepts a comma-separated list of rooms, each opened in its own tab
+    this.roomnames = ChatApp.parseRoomList(options.room);
     this.updateChecker = options.updateChecker || null;
+    // Ceiling for the reconnect backoff, given in seconds on the command line
+    const maxDelaySeconds = Number(options.reconnectMaxDelay);
+    this.reconnectMaxDelay = maxDelaySeconds > 0 ? maxDelaySeconds * 1000 : undefined;
+    // Local history: disabled with --no-history, backfill size from --history-lines
+    this.historyEnabled = options.history !== false;
+    this.historyLines = Number(options.historyLines) >= 0 ? Number(options.historyLines) : 50;
+    this.historyRetention = options.historyRetention || {};
+    // Markdown formatting in messages, turned off with --no-rich-text
+    this.richText = options.richText !== false;
+    // Room passwords: -p applies to every room, remembered ones come from the secrets store
+    this.password = options.password || null;
+    this.savePassword = options.savePassword === true;
+    this.configManager = options.configManager || null;
+    this.secrets = options.secretStore || null;
+    this.secretsUnlock = null;
+    this.passwords = new Map(); // Passwords entered during this session, per room
+    this.promptQueue = Promise.resolve();
+    this.uiStarted = false;
+    // --debug shows every debug event; --trace-file/--debug record the protocol
+    this.debug = options.debug === true;
+    this.trace = options.trace || null;
     
     this.ui = null;
-    this.wsClient = null;
+    this.clients = new Map(); // One WebSocketClient per joined room
     this.roomManager = null;
+    this.roomDirectory = null;
+    this.history = null;
+    this.seenMessages = new Map(); // Per-room keys of chat messages already shown
+    this.commands = registerChatCommands(new CommandRegistry(), this);
+  }
+
+  static parseRoomList(value) {
+    if (!value) return [];
+    const rooms = value.split(',').map(room => room.trim()).filter(Boolean);
+    return [...new Set(rooms)];
   }
 
   async start() {
@@ -29,12 +78,17 @@ export class ChatApp {
       // Show welcome message
       this.showWelcome();
       
+      // Initialize managers
+      this.roomManager = new RoomManager(this.endpoint);
+      this.unlockSecretsFromEnv();
+      this.roomDirectory = new RoomDirectory(this.hostname);
+
       // Get room name if not provided via CLI options
       await this.gatherRoomInput();
       
-      // Initialize managers
-      this.roomManager = new RoomManager(this.hostname, this.protocol);
-      this.wsClient = new WebSocketClient(this.hostname, this.wsProtocol);
+      if (this.historyEnabled) {
+        this.history = new HistoryStore(this.hostname, this.historyRetention);
+      }
       
       // Start chat interface
       await this.startChatInterface();
@@ -63,24 +117,304 @@ export class ChatApp {
 
   async gatherRoomInput() {
     // Room name prompt if no room specified
-    if (!this.roomname) {
-      const { roomname } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'roomname',
-          message: 'Enter room name to join:',
-          validate: (input) => {
-            if (!input.trim()) return 'Room name cannot be empty';
-            if (input.length > 32) return 'Room name must be 32 characters or less';
-            return true;
+    if (this.roomnames.length === 0) {
+      const { action, room } = await this.pickRoom();
+
+      if (action === 'join') {
+        this.roomnames = [room];
+      } else if (action === 'create') {
+        await this.createRoomInteractive();
+      } else {
+        const { roomname } = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'roomname',
+            message: 'Enter room name to join (comma-separate several):',
+            validate: (input) => {
+              const rooms = ChatApp.parseRoomList(input);
+              if (rooms.length === 0) return 'Room name cannot be empty';
+              return rooms.map(RoomManager.validateRoomName).find(Boolean) || true;
+            }
           }
+        ]);
+
+        this.roomnames = ChatApp.parseRoomList(roomname);
+      }
+    }
+
+    for (const roomname of this.roomnames) {
+      const problem = RoomManager.validateRoomName(roomname);
+      if (problem) {
+        throw new Error(`${problem}: ${roomname}`);
+      }
+    }
+  }
+
+  /**
+   * Searchable list of favorites, then recent rooms, then entering or creating
+   * a new room. Resolves to { action: 'join' | 'new' | 'create', room }.
+   */
+  async pickRoom() {
+    const favorites = this.roomDirectory.getFavorites();
+    const recent = this.roomDirectory.getRecent().filter(room => !favorites.includes(room.name));
+    const rooms = [
+      ...favorites.map(name => ({ name: `★ ${name}`, value: { action: 'join', room: name }, room: name })),
+      ...recent.map(({ name, lastVisited }) => ({
+        name: `  ${name} ${chalk.gray(`(${RoomDirectory.formatAge(lastVisited)})`)}`,
+        value: { action: 'join', room: name },
+        room: name
+      }))
+    ];
+
+    const { choice } = await inquirer.prompt([
+      {
+        type: 'autocomplete',
+        name: 'choice',
+        message: 'Pick a room (type to search):',
+        pageSize: 12,
+        source: async (answers, input) => {
+          const term = (input || '').trim();
+          const matches = rooms.filter(room => room.room.toLowerCase().includes(term.toLowerCase()));
+          const choices = matches.length > 0 ? [...matches, new inquirer.Separator()] : [];
+          // Typing a name that isn't in the list offers to join it directly
+          if (term && !rooms.some(room => room.room === term)) {
+            choices.push({ name: `Join "${term}"`, value: { action: 'join', room: term } });
+          }
+          choices.push(
+            { name: 'Enter a new room...', value: { action: 'new' } },
+            { name: 'Create a new room...', value: { action: 'create' } }
+          );
+          return choices;
+        },
+        validate: (choice) => {
+          if (!choice || choice.value.action !== 'join') return true;
+          return RoomManager.validateRoomName(choice.value.room) || true;
+        }
+      }
+    ]);
+
+    return choice;
+  }
+
+  async createRoomInteractive() {
+    const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'name',
+        message: 'Room name (leave empty for a generated ID):',
+        validate: (input) => RoomManager.validateRoomName(input.trim()) || true
+      },
+      {
+        type: 'confirm',
+        name: 'private',
+        message: 'Make it private (only people with the room ID can join)?',
+        default: true
+      },
+      {
+        type: 'password',
+        name: 'password',
+        message: 'Password (optional):',
+        mask: '*'
+      }
+    ]);
+
+    const spinner = ora('Creating room...').start();
+    let roomId;
+    try {
+      roomId = await this.roomManager.createRoom(answers.name.trim(), {
+        private: answers.private,
+        password: answers.password
+      });
+    } catch (error) {
+      spinner.fail('Failed to create room');
+      throw error;
+    }
+    spinner.succeed(`Created room: ${roomId}`);
+    console.log(chalk.gray(`Share it with: bizchat chat -r ${roomId}`));
+
+    this.roomnames = [roomId];
+    if (answers.password) {
+      this.passwords.set(roomId, answers.password);
+    }
+  }
+
+  /**
+   * Password for a room: one entered this session, then -p, then one from the
+   * secrets store (if unlocked), then one saved in plain text by older versions
+   */
+  getRoomPassword(roomname) {
+    return this.passwords.get(roomname) ||
+      this.password ||
+      this.getStoredPassword(roomname) ||
+      (this.configManager && this.configManager.getRoomPassword(this.hostname, roomname)) ||
+      null;
+  }
+
+  getStoredPassword(roomname) {
+    if (!this.secrets || !this.secrets.isUnlocked()) return null;
+    return this.secrets.get(this.hostname, roomname);
+  }
+
+  /**
+   * Open the secrets store up front when the environment holds its key
+   */
+  unlockSecretsFromEnv() {
+    if (!this.secrets || !this.secrets.exists() || !this.secrets.hasEnvCredentials()) return;
+    try {
+      this.secrets.unlock();
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  ${error.message}`));
+    }
+  }
+
+  /**
+   * Unlock the secrets store once, asking for the passphrase if needed.
+   * Only possible before the chat UI owns the terminal, or with an env key.
+   */
+  unlockSecrets() {
+    if (!this.secrets) return Promise.resolve(false);
+    if (this.secrets.isUnlocked()) return Promise.resolve(true);
+    if (this.uiStarted && !this.secrets.hasEnvCredentials()) return Promise.resolve(false);
+
+    if (!this.secretsUnlock) {
+      this.secretsUnlock = this.secrets.unlockWith((questions) => this.prompt(questions))
+        .catch((error) => {
+          console.warn(chalk.yellow(`⚠️  ${error.message}`));
+          return false;
+        });
+    }
+    return this.secretsUnlock;
+  }
+
+  async storeRoomPassword(roomname, password) {
+    if (!(await this.unlockSecrets())) return false;
+    try {
+      this.secrets.set(this.hostname, roomname, password);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Run inquirer prompts one at a time, since rooms are joined in parallel
+   */
+  prompt(questions) {
+    const answers = this.promptQueue.then(() => inquirer.prompt(questions));
+    this.promptQueue = answers.catch(() => {});
+    return answers;
+  }
+
+  /**
+   * Before the chat UI owns the terminal, wait for the room to accept us and
+   * ask for the password when it doesn't, up to three times
+   */
+  async authenticate(client, roomname) {
+    let prompted = false;
+    let checkedStore = false;
+
+    for (let attempt = 1; ; attempt++) {
+      const error = await this.waitForAuthentication(client);
+      if (!error) break;
+      if (attempt > 3) {
+        throw new Error(error);
+      }
+
+      // Only ask for the store's passphrase once a room turns out to need a password
+      if (!checkedStore && this.secrets && this.secrets.exists()) {
+        checkedStore = true;
+        const stored = (await this.unlockSecrets()) && this.getStoredPassword(roomname);
+        if (stored && stored !== client.password) {
+          client.setPassword(stored);
+          await client.reconnect('Retrying with remembered password');
+          continue;
+        }
+      }
+
+      const { password } = await this.prompt([
+        {
+          type: 'password',
+          name: 'password',
+          // The error is the server's own text, so it is cleaned like any other
+          message: `${TextSanitizer.clean(error)} Password for #${roomname}:`,
+          mask: '*',
+          validate: (input) => input.length > 0 || 'Password cannot be empty'
         }
       ]);
-      
-      this.roomname = roomname;
+      prompted = true;
+      this.passwords.set(roomname, password);
+      client.setPassword(password);
+      await client.reconnect('Retrying with password');
+    }
+
+    const password = client.password;
+    if (!password || !this.secrets || password === this.getStoredPassword(roomname)) return;
+    if (this.savePassword) {
+      await this.storeRoomPassword(roomname, password);
+    } else if (prompted) {
+      const { remember } = await this.prompt([
+        {
+          type: 'confirm',
+          name: 'remember',
+          message: `Remember the password for #${roomname}?`,
+          default: false
+        }
+      ]);
+      if (remember && !(await this.storeRoomPassword(roomname, password))) {
+        console.warn(chalk.yellow(`⚠️  Could not remember the password for #${roomname}`));
+      }
     }
   }
 
+  /**
+   * Resolves with the server's error if it rejected our password, or with
+   * null once the room is ready (or the connection drops for another reason)
+   */
+  waitForAuthentication(client) {
+    if (client.ready) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      const finish = (error) => {
+        clearTimeout(timer);
+        client.off('ready', onReady);
+        client.off('authFailed', onAuthFailed);
+        client.off('disconnected', onDisconnected);
+        resolve(error);
+      };
+      const onReady = () => finish(null);
+      const onAuthFailed = (error) => finish(error);
+      // Other failures are left to the normal reconnect handling
+      const onDisconnected = () => {
+        if (!client.authFailed) finish(null);
+      };
+      const timer = setTimeout(() => finish(null), client.connectTimeout);
+
+      client.on('ready', onReady);
+      client.on('authFailed', onAuthFailed);
+      client.on('disconnected', onDisconnected);
+    });
+  }
+
+  /**
+   * Change the password used for a room and rejoin with it
+   */
+  async setRoomPassword(roomname, password, save = false) {
+    const client = this.clients.get(roomname);
+    this.passwords.set(roomname, password);
+    client.setPassword(password);
+    if (save) {
+      client.once('ready', async () => {
+        if (client.password !== password) return;
+        if (await this.storeRoomPassword(roomname, password)) {
+          this.ui.addInfoMessage(`🔐 Remembered the password for #${roomname}`, roomname);
+        } else {
+          this.ui.addErrorMessage('❌ Could not remember the password: the secrets store is locked. Set BIZCHAT_SECRETS_PASSPHRASE or use: bizchat secrets set', roomname);
+        }
+      });
+    }
+    await client.reconnect('Retrying with password');
+  }
+
   async startChatInterface() {
     console.log('\n' + chalk.green('🚀 Starting chat interface...\n'));
     
@@ -89,9 +423,7 @@ export class ChatApp {
       if (this.ui) {
         this.ui.cleanup();
       }
-      if (this.wsClient) {
-        this.wsClient.disconnect();
-      }
+      this.disconnectAll();
       process.exit(0);
     });
     
@@ -99,79 +431,389 @@ export class ChatApp {
     await new Promise(resolve => setTimeout(resolve, 1000));
     
     // Initialize UI
-    this.ui = new UserInterface();
+    this.ui = new UserInterface({ richText: this.richText });
     
     // Check for updates in the background and show in UI if available
     if (this.updateChecker) {
       this.checkForUpdatesInBackground();
     }
-    
-    // Setup WebSocket connection
-    this.wsClient.on('connected', () => {
-      this.ui.setStatus(`Connected to room: ${this.roomname}`);
-      this.ui.addSystemMessage(`👋 Joined room: ${this.roomname}`);
-    });
 
-    this.wsClient.on('disconnected', (reason) => {
-      this.ui.setStatus('Disconnected');
-      this.ui.addSystemMessage(`🔌 Disconnected: ${reason || 'Unknown reason'}`);
+    // Handle user input
+    this.ui.on('message', (message, roomname, id) => {
+      this.sendMessage(message, roomname, id);
     });
 
-    this.wsClient.on('error', (error) => {
-      this.ui.addErrorMessage(`❌ Error: ${error}`);
+    this.ui.on('command', async (input, roomname) => {
+      try {
+        await this.commands.execute(input, { room: roomname });
+      } catch (error) {
+        this.ui.addErrorMessage(`❌ ${error.message}`, roomname);
+      }
     });
 
-    this.wsClient.on('message', (data) => {
-      if (data.name && data.message) {
-        this.ui.addChatMessage(data.name, data.message, data.timestamp);
-      }
+    this.ui.setCommandCompleter((input) => {
+      return this.commands.complete(input, { room: this.ui.getActiveRoomName() });
     });
 
-    this.wsClient.on('ready', (data) => {
-      // Handle ready event separately
-      this.ui.addSystemMessage('⚠️  WARNING: Participants are random internet users.');
-      // Don't show the welcome message immediately - let it come naturally from the server
-      // this.ui.addSystemMessage(`👋 Welcome to #${this.roomname}. Say hi!`);
+    this.ui.on('quit', () => {
+      this.disconnectAll();
+      process.exit(0);
     });
 
-    this.wsClient.on('userJoined', (username) => {
-      this.ui.addUser(username);
-      this.ui.addSystemMessage(`➕ ${username} joined`);
+    // Connect to every requested room in parallel
+    const results = await Promise.allSettled(this.roomnames.map(roomname => this.joinRoom(roomname)));
+    const failed = results
+      .map((result, index) => ({ result, roomname: this.roomnames[index] }))
+      .filter(({ result }) => result.status === 'rejected');
+
+    if (failed.length === this.roomnames.length) {
+      // Reasons can carry the server's error text, which is cleaned like any other
+      console.error(chalk.red('❌ Failed to connect:'), TextSanitizer.clean(failed[0].result.reason.message));
+      process.exit(1);
+    }
+
+    for (const { result, roomname } of failed) {
+      this.ui.addErrorMessage(`❌ Could not join #${roomname}: ${result.reason.message}`);
+    }
+    
+    // Start UI after successful connection
+    this.uiStarted = true;
+    this.ui.start();
+    if (this.trace) {
+      this.ui.addSystemMessage(`🐞 Recording a protocol trace to ${this.trace.file}`);
+    }
+    
+    // Keep the process alive
+    return new Promise(() => {
+      // This promise never resolves, keeping the process running
     });
+  }
 
-    this.wsClient.on('userLeft', (username) => {
-      this.ui.removeUser(username);
-      this.ui.addSystemMessage(`➖ ${username} left`);
+  /**
+   * Play a recorded trace into the chat interface. Each room gets a client
+   * that never connects; inbound frames go through its handleMessage just
+   * like live ones. Nothing is sent and no history is written.
+   */
+  async startReplay(replayer, label) {
+    this.history = null;
+    this.ui = new UserInterface({ richText: this.richText });
+
+    this.ui.on('message', (message, roomname, id) => {
+      this.ui.removePendingMessage(roomname, id);
+      this.ui.addErrorMessage('⏪ This is a replay; nothing is sent', roomname);
     });
 
-    // Handle user input
-    this.ui.on('message', (message) => {
-      if (this.wsClient.isConnected()) {
-        this.wsClient.sendMessage(message);
+    this.ui.on('command', async (input, roomname) => {
+      const command = this.commands.get(input.slice(1).split(/\s+/)[0] || '');
+      if (command && !REPLAY_COMMANDS.includes(command.name)) {
+        this.ui.addErrorMessage(`❌ /${command.name} is not available in a replay`, roomname);
+        return;
       }
+      try {
+        await this.commands.execute(input, { room: roomname });
+      } catch (error) {
+        this.ui.addErrorMessage(`❌ ${error.message}`, roomname);
+      }
+    });
+
+    this.ui.setCommandCompleter((input) => {
+      return this.commands.complete(input, { room: this.ui.getActiveRoomName() });
     });
 
     this.ui.on('quit', () => {
-      if (this.wsClient) {
-        this.wsClient.disconnect();
-      }
+      replayer.stop();
       process.exit(0);
     });
 
-    // Connect to WebSocket
-    try {
-      await this.wsClient.connect(this.roomname, this.username);
-    } catch (error) {
-      console.error(chalk.red('❌ Failed to connect:'), error.message);
-      process.exit(1);
+    for (const roomname of replayer.getRooms()) {
+      const client = new WebSocketClient(this.endpoint);
+      client.roomname = roomname;
+      client.username = this.username;
+      this.clients.set(roomname, client);
+      this.seenMessages.set(roomname, new Set());
+      this.ui.addRoom(roomname);
+      this.bindClientEvents(client, roomname);
     }
-    
-    // Start UI after successful connection
+
+    this.uiStarted = true;
     this.ui.start();
-    
-    // Keep the process alive
+    this.ui.addSystemMessage(`⏪ Replaying ${label}`);
+
+    await replayer.play((record) => {
+      const client = this.clients.get(record.room);
+      if (client) client.replayRecord(record);
+    });
+    this.ui.addSystemMessage('⏹  End of the replay. Use /quit to exit.');
+
     return new Promise(() => {
-      // This promise never resolves, keeping the process running
+      // Stay open so the result can be looked at
+    });
+  }
+
+  /**
+   * Open a tab for a room and connect to it. Rejects (and removes the tab)
+   * if the first connection attempt fails.
+   */
+  async joinRoom(roomname) {
+    if (this.clients.has(roomname)) {
+      this.ui.switchRoom(roomname);
+      return;
+    }
+
+    const client = new WebSocketClient(this.endpoint, {
+      reconnectMaxDelay: this.reconnectMaxDelay,
+      password: this.getRoomPassword(roomname)
+    });
+    this.clients.set(roomname, client);
+    this.ui.addRoom(roomname);
+    this.loadHistory(roomname);
+    this.bindClientEvents(client, roomname);
+    if (this.trace) {
+      this.trace.attach(client, roomname);
+    }
+
+    try {
+      await client.connect(roomname, this.username);
+      // Passwords can only be asked for while inquirer has the terminal
+      if (!this.uiStarted) {
+        await this.authenticate(client, roomname);
+      }
+      await this.roomDirectory.recordVisit(roomname);
+    } catch (error) {
+      client.removeAllListeners();
+      client.disconnect();
+      this.clients.delete(roomname);
+      this.seenMessages.delete(roomname);
+      this.ui.removeRoom(roomname);
+      throw error;
+    }
+  }
+
+  /**
+   * Show the tail of the stored history and remember every stored message,
+   * so the backlog the server replays on join isn't shown (or stored) twice
+   */
+  loadHistory(roomname) {
+    const seen = new Set();
+    this.seenMessages.set(roomname, seen);
+    if (!this.history) return;
+
+    this.history.prune(roomname);
+    const entries = this.history.load(roomname);
+    entries
+      .filter(entry => entry.type === 'chat')
+      .forEach(entry => seen.add(HistoryStore.getEntryKey(entry)));
+
+    if (this.historyLines > 0) {
+      this.ui.addHistory(entries.slice(-this.historyLines), roomname);
+    }
+  }
+
+  recordEvent(roomname, entry) {
+    if (this.history) {
+      this.history.append(roomname, entry);
+    }
+  }
+
+  leaveRoom(roomname) {
+    const client = this.clients.get(roomname);
+    if (!client) return;
+
+    client.removeAllListeners();
+    client.disconnect();
+    this.clients.delete(roomname);
+    this.seenMessages.delete(roomname);
+    this.ui.removeRoom(roomname);
+  }
+
+  /**
+   * id ties the message to its pending line in the UI
+   */
+  sendMessage(message, roomname, id) {
+    const client = this.clients.get(roomname);
+    // Sent right away when connected, otherwise held in the client's outbox
+    if (client && client.sendMessage(message, id) === null) {
+      this.ui.removePendingMessage(roomname, id);
+    }
+  }
+
+  /**
+   * Send the room's failed messages again, oldest first. Returns how many.
+   */
+  resendFailed(roomname) {
+    const client = this.clients.get(roomname);
+    const failed = client.getFailedMessages();
+    for (const { id } of failed) {
+      // Back to "sending" first, so a resend into the outbox can mark it queued
+      this.ui.markPendingResent(roomname, id);
+      client.resend(id);
+    }
+    return failed.length;
+  }
+
+  discardFailed(roomname) {
+    const client = this.clients.get(roomname);
+    const failed = client.getFailedMessages();
+    for (const { id } of failed) {
+      client.discard(id);
+      this.ui.removePendingMessage(roomname, id);
+    }
+    return failed.length;
+  }
+
+  /**
+   * Switch names by redoing the join handshake in every room
+   */
+  async changeUsername(username) {
+    this.username = username;
+    const results = await Promise.allSettled(
+      Array.from(this.clients.values()).map(client => {
+        client.username = username;
+        return client.reconnect('Changing name');
+      })
+    );
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length > 0) {
+      throw new Error(`${failed.length} room(s) will keep retrying: ${failed[0].reason.message}`);
+    }
+  }
+
+  /**
+   * Write the room's current buffer to a transcript file and return its path
+   */
+  exportTranscript(roomname, format = 'md', file = null) {
+    const entries = this.ui.getTranscript(roomname);
+    const exporter = new TranscriptExporter({ room: roomname, host: this.hostname });
+    const output = path.resolve(file || TranscriptExporter.getDefaultFilename(roomname, format));
+    fs.writeFileSync(output, exporter.export(entries, format));
+    return { path: output, count: entries.length };
+  }
+
+  /**
+   * Open a link picked from /links in the browser
+   */
+  async openLink(url, roomname) {
+    try {
+      await LinkActions.open(url);
+      this.ui.addInfoMessage(`🌐 Opening ${url}`, roomname);
+    } catch (error) {
+      this.ui.addErrorMessage(`❌ Could not open the link: ${error.message}`, roomname);
+    }
+  }
+
+  async copyLink(url, roomname) {
+    try {
+      const via = await LinkActions.copy(url);
+      this.ui.addInfoMessage(`📋 Copied ${url}${via === 'terminal' ? ' (through the terminal)' : ''}`, roomname);
+    } catch (error) {
+      this.ui.addErrorMessage(`❌ Could not copy the link: ${error.message}`, roomname);
+    }
+  }
+
+  quit() {
+    if (this.ui) {
+      this.ui.cleanup();
+    }
+    this.disconnectAll();
+    process.exit(0);
+  }
+
+  disconnectAll() {
+    for (const client of this.clients.values()) {
+      client.disconnect();
+    }
+  }
+
+  bindClientEvents(client, roomname) {
+    client.on('connected', () => {
+      // The server re-sends the roster on every join, so start from scratch
+      this.ui.clearUsers(roomname);
+      this.ui.setStatus(`Connected to room: ${roomname}`, roomname);
+      this.ui.addSystemMessage(`👋 Joined room: ${roomname}`, roomname);
+    });
+
+    client.on('disconnected', (reason) => {
+      this.ui.setStatus('Disconnected', roomname);
+      this.ui.addSystemMessage(`🔌 Disconnected: ${reason || 'Unknown reason'}`, roomname);
+    });
+
+    client.on('stateChange', (info) => {
+      this.ui.setConnectionState(info, roomname);
+      if (info.state !== 'open') {
+        this.ui.setLatency(null, roomname);
+      }
+    });
+
+    client.on('latency', (latency) => {
+      this.ui.setLatency(latency, roomname);
+    });
+
+    client.on('reconnecting', (attempt, delay) => {
+      this.ui.setStatus('Reconnecting', roomname);
+      this.ui.addSystemMessage(`🔄 Reconnecting in ${Math.ceil(delay / 1000)}s (attempt ${attempt}/${client.maxReconnectAttempts})`, roomname);
+    });
+
+    client.on('gaveUp', (attempts) => {
+      this.ui.setStatus('Offline', roomname);
+      this.ui.addErrorMessage(`❌ Gave up reconnecting after ${attempts} attempts. Queued messages were kept; use /reconnect to retry.`, roomname);
+    });
+
+    client.on('authFailed', () => {
+      // Before the UI starts, authenticate() prompts for the password instead
+      if (!this.uiStarted) return;
+      this.ui.setStatus('Password required', roomname);
+      this.ui.addErrorMessage(`🔒 #${roomname} needs a password. Use /password to enter it and retry.`, roomname);
+    });
+
+    client.on('queued', (id) => {
+      this.ui.markPendingQueued(roomname, id);
+    });
+
+    client.on('sendFailed', (id) => {
+      this.ui.markPendingFailed(roomname, id);
+    });
+
+    client.on('flushed', (messages) => {
+      this.ui.releaseQueuedMessages(roomname);
+      this.ui.addSystemMessage(`📤 Sent ${messages.length} queued message${messages.length === 1 ? '' : 's'}`, roomname);
+    });
+
+    client.on('error', (error) => {
+      this.ui.addErrorMessage(`❌ Error: ${error}`, roomname);
+    });
+
+    client.on('message', (data, pendingId) => {
+      this.handleWebSocketMessage(data, roomname, pendingId);
+    });
+
+    client.on('debug', (info) => {
+      // Unknown frames are expected from newer servers, so they stay out of the chat unless debugging
+      if (info.kind !== 'unknown' || this.debug) {
+        this.ui.addSystemMessage(`⚠️  ${info.message}`, roomname);
+      }
+    });
+
+    client.on('ready', (data) => {
+      // Handle ready event separately
+      this.ui.addSystemMessage('⚠️  WARNING: Participants are random internet users.', roomname);
+      // Don't show the welcome message immediately - let it come naturally from the server
+      // this.ui.addSystemMessage(`👋 Welcome to #${roomname}. Say hi!`);
+    });
+
+    client.on('userJoined', (username) => {
+      this.ui.addUser(username, roomname);
+      this.ui.addSystemMessage(`➕ ${TextSanitizer.cleanName(username)} joined`, roomname);
+      // Joins before 'ready' are the roster of people already here, not events
+      if (client.ready) {
+        this.recordEvent(roomname, { type: 'joined', name: username, timestamp: Date.now() });
+      }
+    });
+
+    client.on('userLeft', (username) => {
+      this.ui.removeUser(username, roomname);
+      this.ui.addSystemMessage(`➖ ${TextSanitizer.cleanName(username)} left`, roomname);
+      this.recordEvent(roomname, { type: 'quit', name: username, timestamp: Date.now() });
     });
   }
 
@@ -185,7 +827,9 @@ export class ChatApp {
       }
 
       // Then do async check for new updates
-      const updateInfo = await this.updateChecker.checkForUpdatesAsync();
+      const updateInfo = await this.updateChecker.checkForUpdatesAsync({
+        onError: message => this.ui.addErrorMessage(`⚠️  ${message}`)
+      });
       if (updateInfo && updateInfo.hasUpdate) {
         this.showUpdateInUI(updateInfo);
       }
@@ -209,9 +853,21 @@ export class ChatApp {
     }
   }
 
-  handleWebSocketMessage(data) {
-    if (data.name && data.message) {
-      this.ui.addChatMessage(data.name, data.message, data.timestamp);
+  // Frames are checked against FrameSchema before they get here
+  handleWebSocketMessage(data, roomname, pendingId = null) {
+    const entry = { type: 'chat', name: data.name, text: data.message, timestamp: data.timestamp || Date.now() };
+    const key = HistoryStore.getEntryKey(entry);
+    const seen = this.seenMessages.get(roomname);
+
+    // Skip the server's replay of messages we already have
+    if (seen && data.timestamp && seen.has(key)) {
+      return;
+    }
+    if (seen && data.timestamp) {
+      seen.add(key);
     }
+
+    this.recordEvent(roomname, entry);
+    this.ui.addChatMessage(data.name, data.message, data.timestamp, roomname, pendingId);
   }
 } 
\ No newline at end of file
@@ -0,0 +1,246 @@
+import { CommandError } from './CommandRegistry.js';
+import { RoomManager } from './RoomManager.js';
+import { TextSanitizer } from './TextSanitizer.js';
+
+/**
+ * Register the built-in slash commands. Commands act on the running ChatApp;
+ * `context.room` is the tab the command was typed in.
+ */
+export function registerChatCommands(registry, app) {
+  const openRooms = () => app.ui.getRoomNames();
+  // Favorites and recent rooms that aren't open yet
+  const knownRooms = () => app.roomDirectory.getRoomNames().filter(name => !app.clients.has(name));
+
+  registry.register({
+    name: 'help',
+    aliases: ['?'],
+    description: 'List commands, or show usage for one command',
+    args: [{ name: 'command', complete: () => registry.list().map(command => command.name) }],
+    run: ({ command }, { room }) => {
+      if (command) {
+        const definition = registry.get(command.replace(/^\//, ''));
+        if (!definition) {
+          throw new CommandError(`Unknown command: /${command}. Try /help`);
+        }
+        app.ui.addInfoMessage(`${registry.getUsage(definition)} - ${definition.description}`, room);
+        return;
+      }
+
+      app.ui.addInfoMessage('Commands (start a message with // to send a literal "/"):', room);
+      registry.list().forEach(definition => {
+        app.ui.addInfoMessage(`  ${registry.getUsage(definition)} - ${definition.description}`, room);
+      });
+    }
+  });
+
+  registry.register({
+    name: 'join',
+    aliases: ['j'],
+    description: 'Join a room in a new tab',
+    args: [{ name: 'room', required: true, complete: knownRooms }],
+    run: async ({ room: roomname }) => {
+      const problem = RoomManager.validateRoomName(roomname);
+      if (problem) {
+        throw new CommandError(problem);
+      }
+      await app.joinRoom(roomname);
+      app.ui.switchRoom(roomname);
+    }
+  });
+
+  registry.register({
+    name: 'leave',
+    aliases: ['part'],
+    description: 'Leave a room (the current one by default)',
+    args: [{ name: 'room', complete: openRooms }],
+    run: ({ room: roomname }, { room }) => {
+      const target = roomname || room;
+      if (!app.clients.has(target)) {
+        throw new CommandError(`You are not in #${target}`);
+      }
+      if (app.clients.size === 1) {
+        app.quit();
+        return;
+      }
+      app.leaveRoom(target);
+    }
+  });
+
+  registry.register({
+    name: 'switch',
+    aliases: ['room'],
+    description: 'Switch to another joined room',
+    args: [{ name: 'room', required: true, complete: openRooms }],
+    run: ({ room: roomname }) => {
+      if (!app.clients.has(roomname)) {
+        throw new CommandError(`You are not in #${roomname}. Use /join ${roomname}`);
+      }
+      app.ui.switchRoom(roomname);
+    }
+  });
+
+  registry.register({
+    name: 'rooms',
+    description: 'List joined rooms',
+    run: (args, { room }) => {
+      app.ui.addInfoMessage(`Joined rooms: ${openRooms().map(name => `#${name}`).join(', ')}`, room);
+    }
+  });
+
+  registry.register({
+    name: 'nick',
+    description: 'Change your name (rejoins every room)',
+    args: [{ name: 'name', required: true }],
+    run: async ({ name }, { room }) => {
+      if (name.length > 32) {
+        throw new CommandError('Name must be 32 characters or less');
+      }
+      // workers-chat only takes a name in the join handshake, so each room is rejoined
+      await app.changeUsername(name);
+      app.ui.addInfoMessage(`You are now known as ${TextSanitizer.cleanName(name)}`, room);
+    }
+  });
+
+  registry.register({
+    name: 'me',
+    description: 'Send an action, e.g. /me waves',
+    args: [{ name: 'action', required: true, rest: true }],
+    run: ({ action }, { room }) => {
+      const message = `/me ${action}`;
+      const id = app.ui.addPendingMessage(message, room);
+      app.sendMessage(message, room, id);
+    }
+  });
+
+  registry.register({
+    name: 'resend',
+    aliases: ['retry'],
+    description: 'Send the current room\'s undelivered messages again',
+    run: (args, { room }) => {
+      const count = app.resendFailed(room);
+      if (count === 0) {
+        throw new CommandError('No undelivered messages in this room');
+      }
+      app.ui.addInfoMessage(`Resending ${count} message${count === 1 ? '' : 's'}`, room);
+    }
+  });
+
+  registry.register({
+    name: 'discard',
+    description: 'Drop the current room\'s undelivered messages',
+    run: (args, { room }) => {
+      const count = app.discardFailed(room);
+      if (count === 0) {
+        throw new CommandError('No undelivered messages in this room');
+      }
+      app.ui.addInfoMessage(`Discarded ${count} message${count === 1 ? '' : 's'}`, room);
+    }
+  });
+
+  registry.register({
+    name: 'users',
+    aliases: ['who', 'names'],
+    description: 'List users in the current room',
+    run: (args, { room }) => {
+      const users = app.ui.getUsers(room);
+      app.ui.addInfoMessage(`${users.length} in #${room}: ${users.map(user => TextSanitizer.cleanName(user)).join(', ') || 'nobody'}`, room);
+    }
+  });
+
+  registry.register({
+    name: 'clear',
+    description: 'Clear the message buffer of the current room',
+    run: (args, { room }) => {
+      app.ui.clearMessages(room);
+    }
+  });
+
+  registry.register({
+    name: 'raw',
+    description: 'Show text as received, with control characters spelled out (for debugging)',
+    args: [{ name: 'mode', complete: () => ['on', 'off'] }],
+    run: ({ mode }, { room }) => {
+      if (mode && mode !== 'on' && mode !== 'off') {
+        throw new CommandError('Usage: /raw [on|off]');
+      }
+      const enabled = mode ? mode === 'on' : !app.ui.showRaw;
+      app.ui.setShowRaw(enabled);
+      app.ui.addInfoMessage(enabled
+        ? 'Raw view on: text is shown as received, with escapes spelled out. /raw off to go back.'
+        : 'Raw view off', room);
+    }
+  });
+
+  registry.register({
+    name: 'links',
+    description: 'Pick a recent link in the current room to open or copy',
+    run: (args, { room }) => {
+      const links = app.ui.getRecentLinks(room);
+      if (links.length === 0) {
+        throw new CommandError(`No links in #${room} yet`);
+      }
+      const items = links.map(link => ({ label: `[${link.timestamp}] ${app.ui.displayName(link.name)}: ${link.text}`, link }));
+      app.ui.showPicker(`Links in #${room}`, items, [
+        { key: 'ENTER', hint: 'ENTER open', run: item => app.openLink(item.link.url, room) },
+        { key: 'c', hint: 'c copy', run: item => app.copyLink(item.link.url, room) }
+      ]);
+    }
+  });
+
+  registry.register({
+    name: 'export',
+    description: 'Save the current room\'s messages to a file (md, html, json or txt)',
+    args: [
+      { name: 'format', complete: () => ['md', 'html', 'json', 'txt'] },
+      { name: 'file' }
+    ],
+    run: ({ format, file }, { room }) => {
+      const result = app.exportTranscript(room, format || 'md', file || null);
+      app.ui.addInfoMessage(`Exported ${result.count} lines to ${result.path}`, room);
+    }
+  });
+
+  registry.register({
+    name: 'reconnect',
+    description: 'Reconnect the current room now',
+    run: async (args, { room }) => {
+      await app.clients.get(room).reconnect('Reconnect requested');
+    }
+  });
+
+  registry.register({
+    name: 'password',
+    description: 'Rejoin the current room with a password, asked for with typing hidden; add "save" to remember it',
+    args: [
+      { name: 'password' },
+      { name: 'save', complete: () => ['save'] }
+    ],
+    run: async ({ password, save }, { room }) => {
+      if (save && save !== 'save') {
+        throw new CommandError('Usage: /password [password] [save]');
+      }
+      // "/password" and "/password save" ask for it, so it is never on screen
+      let remember = save === 'save';
+      if (!password || (password === 'save' && !save)) {
+        remember = password === 'save';
+        password = await app.ui.promptSecret(`Password for #${room}`);
+        if (!password) {
+          app.ui.addInfoMessage('Password not changed', room);
+          return;
+        }
+      }
+      await app.setRoomPassword(room, password, remember);
+    }
+  });
+
+  registry.register({
+    name: 'quit',
+    aliases: ['exit', 'q'],
+    description: 'Leave all rooms and exit',
+    run: () => {
+      app.quit();
+    }
+  });
+
+  return registry;
+}
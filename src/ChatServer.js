@@ -0,0 +1,378 @@
+import http from 'http';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { WebSocketServer } from 'ws';
+import { PROTOCOL_VERSION } from './FrameSchema.js';
+import { TextSanitizer } from './TextSanitizer.js';
+
+const MAX_NAME_LENGTH = 32;
+const MAX_MESSAGE_LENGTH = 256;
+const MAX_ID_LENGTH = 64;
+const FAULT_PREFIX = '/__bizchat/';
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * A small in-memory server speaking the workers-chat protocol, for offline
+ * use, LANs and tests. On top of what workers-chat does it understands room
+ * passwords, read-only sessions and message IDs, and can inject latency,
+ * disconnects and error frames. Emits 'log' with a line for each thing that
+ * happens.
+ */
+export class ChatServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.backlogSize = options.backlogSize ?? 100;
+    this.latency = options.latency ?? 0; // ms added to every frame sent to clients
+    this.jitter = options.jitter ?? 0; // up to this many ms more, at random
+    this.disconnectEvery = options.disconnectEvery ?? 0; // seconds; 0 = never
+    this.faultApi = !!options.faultApi;
+    this.rooms = new Map(); // name -> { sessions, backlog, password, lastTimestamp }
+    this.server = null;
+    this.wss = null;
+    this.disconnectTimer = null;
+  }
+
+  static isValidRoomName(name) {
+    return /^[0-9a-f]{64}$/i.test(name) || (name.length > 0 && name.length <= MAX_NAME_LENGTH);
+  }
+
+  listen(port, host) {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.wss = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+    if (this.disconnectEvery > 0) {
+      this.disconnectTimer = setInterval(() => this.disconnect(), this.disconnectEvery * 1000);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    clearInterval(this.disconnectTimer);
+    this.disconnectTimer = null;
+    if (this.wss) {
+      for (const ws of this.wss.clients) ws.terminate();
+    }
+    return new Promise((resolve) => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  log(line) {
+    this.emit('log', line);
+  }
+
+  getRoom(name) {
+    if (!this.rooms.has(name)) {
+      this.rooms.set(name, { sessions: new Set(), backlog: [], password: null, lastTimestamp: 0 });
+    }
+    return this.rooms.get(name);
+  }
+
+  respond(res, status, body) {
+    res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json' });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  }
+
+  /**
+   * The request body as text. Anything over MAX_BODY_SIZE is refused with a
+   * 413 error rather than held in memory.
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          req.pause();
+          reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  async handleRequest(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname === '/api/room' && req.method === 'POST') {
+        await this.createRoom(req, res);
+      } else if (/^\/api\/room\/[^/]+\/websocket$/.test(url.pathname)) {
+        this.respond(res, 400, 'expected websocket');
+      } else if (this.faultApi && url.pathname.startsWith(FAULT_PREFIX)) {
+        await this.handleFaultRequest(req, res, url);
+      } else {
+        this.respond(res, 404, 'Not found');
+      }
+    } catch (error) {
+      // The rest of an oversized body is never read, so the connection can't be reused
+      if (error.status === 413) {
+        res.setHeader('Connection', 'close');
+        res.once('finish', () => req.destroy());
+      }
+      this.respond(res, error.status || 500, { error: error.message });
+    }
+  }
+
+  /**
+   * workers-chat hands out a fresh private ID for every POST. Here a name in
+   * the body is used as is, unless the room is private; a password in the
+   * body protects the room.
+   */
+  async createRoom(req, res) {
+    const raw = await this.readBody(req);
+    let body = {};
+    if (raw.trim()) {
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        this.respond(res, 400, { error: 'Request body must be JSON' });
+        return;
+      }
+    }
+
+    const name = body.name && !body.private ? String(body.name) : crypto.randomBytes(32).toString('hex');
+    if (!ChatServer.isValidRoomName(name)) {
+      this.respond(res, 400, { error: 'Room name must be 32 characters or less' });
+      return;
+    }
+    const room = this.getRoom(name);
+    if (body.password) room.password = String(body.password);
+
+    this.log(`room #${name} created${room.password ? ' (password protected)' : ''}`);
+    this.respond(res, 200, name);
+  }
+
+  handleUpgrade(req, socket, head) {
+    let name = null;
+    try {
+      const match = new URL(req.url, 'http://localhost').pathname.match(/^\/api\/room\/([^/]+)\/websocket$/);
+      name = match ? decodeURIComponent(match[1]) : null;
+    } catch (error) {
+      // A bad request line or a malformed escape such as %E0%A4%A
+      this.refuseUpgrade(socket, '400 Bad Request', 'Bad request');
+      return;
+    }
+    if (!name || !ChatServer.isValidRoomName(name)) {
+      this.refuseUpgrade(socket, '404 Not Found', name ? 'Name too long' : 'Not found');
+      return;
+    }
+    this.wss.handleUpgrade(req, socket, head, (ws) => this.handleSession(ws, name));
+  }
+
+  refuseUpgrade(socket, status, reason) {
+    socket.end(`HTTP/1.1 ${status}\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\n${reason}`, () => socket.destroy());
+  }
+
+  handleSession(ws, roomname) {
+    const room = this.getRoom(roomname);
+    const session = { ws, name: null, readOnly: false, deliverAt: 0 };
+    room.sessions.add(session);
+
+    ws.on('message', (data) => {
+      try {
+        this.handleFrame(room, roomname, session, JSON.parse(data.toString()));
+      } catch (error) {
+        this.send(session, { error: error.message });
+      }
+    });
+
+    ws.on('close', () => {
+      room.sessions.delete(session);
+      if (session.name !== null) {
+        this.log(`#${roomname} ${TextSanitizer.cleanName(session.name)} left`);
+        if (!session.readOnly) this.broadcast(room, { quit: session.name });
+      }
+    });
+    // Injected disconnects and dropped clients end in 'close'; nothing to add here
+    ws.on('error', () => {});
+  }
+
+  handleFrame(room, roomname, session, data) {
+    if (session.name === null) {
+      this.handleHandshake(room, roomname, session, data);
+      return;
+    }
+
+    if (session.readOnly) {
+      this.send(session, { error: 'Read-only sessions cannot send messages.' });
+      return;
+    }
+    const message = String(data.message ?? '');
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      this.send(session, { error: 'Message too long.' });
+      return;
+    }
+
+    // Strictly increasing timestamps, as workers-chat guarantees
+    room.lastTimestamp = Math.max(Date.now(), room.lastTimestamp + 1);
+    const frame = { name: session.name, message, timestamp: room.lastTimestamp };
+    // Echoed so the sender can match the message to the one it sent
+    if (typeof data.id === 'string' && data.id.length <= MAX_ID_LENGTH) frame.id = data.id;
+    room.backlog.push(frame);
+    if (room.backlog.length > this.backlogSize) room.backlog.shift();
+    this.broadcast(room, frame);
+  }
+
+  handleHandshake(room, roomname, session, data) {
+    const name = String(data.name || 'anonymous');
+    if (name.length > MAX_NAME_LENGTH) {
+      this.send(session, { error: 'Name too long.' });
+      this.closeSession(session, 1009, 'Name too long.');
+      return;
+    }
+    if (room.password && data.password !== room.password) {
+      this.log(`#${roomname} ${TextSanitizer.cleanName(name)} gave the wrong password`);
+      this.send(session, { error: 'Incorrect password.' });
+      this.closeSession(session, 1008, 'Incorrect password.');
+      return;
+    }
+
+    // Roster and backlog first, then the join announcement, then ready
+    for (const other of room.sessions) {
+      if (other !== session && other.name !== null && !other.readOnly) {
+        this.send(session, { joined: other.name });
+      }
+    }
+    for (const frame of room.backlog) {
+      this.send(session, frame);
+    }
+
+    session.name = name;
+    session.readOnly = data.readOnly === true;
+    this.log(`#${roomname} ${TextSanitizer.cleanName(name)} joined${session.readOnly ? ' (read-only)' : ''}`);
+    if (!session.readOnly) this.broadcast(room, { joined: name });
+    this.send(session, { ready: true, protocol: PROTOCOL_VERSION, features: ['passwords', 'readOnly', 'messageIds'] });
+  }
+
+  /**
+   * Queue a frame for one client, delayed by the injected latency. Frames
+   * never overtake each other, however the jitter falls.
+   */
+  send(session, frame) {
+    const payload = JSON.stringify(frame);
+    const delay = this.latency + Math.random() * this.jitter;
+    if (delay <= 0 && session.deliverAt <= Date.now()) {
+      if (session.ws.readyState === session.ws.OPEN) session.ws.send(payload);
+      return;
+    }
+
+    session.deliverAt = Math.max(Date.now() + delay, session.deliverAt);
+    setTimeout(() => {
+      if (session.ws.readyState === session.ws.OPEN) session.ws.send(payload);
+    }, session.deliverAt - Date.now());
+  }
+
+  /**
+   * Close once any frames held back by the injected latency have gone out
+   */
+  closeSession(session, code, reason) {
+    setTimeout(() => session.ws.close(code, reason), Math.max(0, session.deliverAt - Date.now()));
+  }
+
+  broadcast(room, frame) {
+    for (const session of room.sessions) {
+      if (session.name !== null) this.send(session, frame);
+    }
+  }
+
+  setLatency(latency, jitter = 0) {
+    this.latency = latency;
+    this.jitter = jitter;
+    this.log(`latency set to ${latency}ms${jitter ? ` (+ up to ${jitter}ms jitter)` : ''}`);
+  }
+
+  /**
+   * Drop connections, in one room or all of them. A clean disconnect sends a
+   * close frame; otherwise the socket is cut as if the network failed.
+   * Returns how many were dropped.
+   */
+  disconnect({ room = null, clean = false } = {}) {
+    let count = 0;
+    for (const [name, { sessions }] of this.rooms) {
+      if (room && name !== room) continue;
+      for (const session of sessions) {
+        if (clean) {
+          session.ws.close(1012, 'Server restarting');
+        } else {
+          session.ws.terminate();
+        }
+        count++;
+      }
+    }
+    if (count > 0) this.log(`dropped ${count} connection${count === 1 ? '' : 's'}${room ? ` in #${room}` : ''}`);
+    return count;
+  }
+
+  /**
+   * Send an error frame to everyone in a room, or in every room
+   */
+  injectError(message, room = null) {
+    for (const [name, entry] of this.rooms) {
+      if (!room || name === room) this.broadcast(entry, { error: message });
+    }
+    this.log(`sent error "${message}"${room ? ` to #${room}` : ''}`);
+  }
+
+  getStatus() {
+    const rooms = {};
+    for (const [name, { sessions, backlog, password }] of this.rooms) {
+      rooms[name] = {
+        users: [...sessions].filter(session => session.name !== null).map(session => session.name),
+        messages: backlog.length,
+        password: !!password
+      };
+    }
+    return { latency: this.latency, jitter: this.jitter, rooms };
+  }
+
+  /**
+   * Fault injection for tests, enabled with --fault-api. Parameters come
+   * from the query string:
+   *   POST /__bizchat/disconnect?room=ops&clean=1
+   *   POST /__bizchat/latency?ms=500&jitter=200
+   *   POST /__bizchat/error?room=ops&message=Overloaded
+   *   GET  /__bizchat/status
+   */
+  async handleFaultRequest(req, res, url) {
+    const action = url.pathname.slice(FAULT_PREFIX.length);
+    const params = url.searchParams;
+
+    if (action === 'status' && req.method === 'GET') {
+      this.respond(res, 200, this.getStatus());
+      return;
+    }
+    if (req.method !== 'POST') {
+      this.respond(res, 405, { error: 'Use POST' });
+      return;
+    }
+
+    if (action === 'disconnect') {
+      const dropped = this.disconnect({ room: params.get('room'), clean: params.get('clean') === '1' });
+      this.respond(res, 200, { dropped });
+    } else if (action === 'latency') {
+      const latency = Number(params.get('ms') ?? 0);
+      const jitter = Number(params.get('jitter') ?? 0);
+      if (!(latency >= 0) || !(jitter >= 0)) {
+        this.respond(res, 400, { error: 'ms and jitter must be zero or more' });
+        return;
+      }
+      this.setLatency(latency, jitter);
+      this.respond(res, 200, { latency, jitter });
+    } else if (action === 'error') {
+      this.injectError(params.get('message') || 'Injected error', params.get('room'));
+      this.respond(res, 200, { sent: true });
+    } else {
+      this.respond(res, 404, { error: `Unknown fault action: ${action}` });
+    }
+  }
+}
@@ -0,0 +1,128 @@
+import chalk from 'chalk';
+
+const C_KEYWORDS = 'auto break case char const continue default do double else enum extern float for goto if int long register return short signed sizeof static struct switch typedef union unsigned void volatile while';
+
+// Keywords and comment syntax for the languages code blocks are tagged with most
+const LANGUAGES = {
+  js: {
+    aliases: ['javascript', 'jsx', 'mjs', 'cjs', 'node', 'ts', 'typescript', 'tsx'],
+    lineComment: '//',
+    blockComment: true,
+    keywords: 'async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof interface let new of return static super switch this throw try type typeof var void while yield'
+  },
+  python: {
+    aliases: ['py', 'python3'],
+    lineComment: '#',
+    keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield'
+  },
+  sh: {
+    aliases: ['bash', 'shell', 'zsh', 'console'],
+    lineComment: '#',
+    keywords: 'case do done elif else esac export fi for function if in local return then until while'
+  },
+  json: {
+    aliases: ['jsonc'],
+    lineComment: '//',
+    keywords: ''
+  },
+  go: {
+    aliases: ['golang'],
+    lineComment: '//',
+    blockComment: true,
+    keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var'
+  },
+  rust: {
+    aliases: ['rs'],
+    lineComment: '//',
+    blockComment: true,
+    keywords: 'as async await break const continue crate else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while'
+  },
+  java: {
+    aliases: ['kotlin', 'kt', 'scala', 'cs', 'csharp'],
+    lineComment: '//',
+    blockComment: true,
+    keywords: 'abstract break case catch class continue default do else enum extends final finally for if implements import instanceof interface new package private protected public return static super switch this throw throws try void while'
+  },
+  c: {
+    aliases: ['h', 'cpp', 'c++', 'cc', 'hpp'],
+    lineComment: '//',
+    blockComment: true,
+    keywords: `${C_KEYWORDS} bool catch class delete namespace new private protected public template this throw try using virtual`
+  },
+  sql: {
+    aliases: ['mysql', 'postgres', 'postgresql', 'sqlite'],
+    lineComment: '--',
+    blockComment: true,
+    ignoreCase: true,
+    keywords: 'alter and as asc by create delete desc distinct drop from group having in index inner insert into is join left limit not on or order outer primary key references right select set table union update values where with'
+  }
+};
+
+const LITERALS = new Set(['true', 'false', 'null', 'undefined', 'None', 'True', 'False', 'nil', 'NULL']);
+
+// Whitespace, strings, numbers, words and single punctuation characters
+const TOKEN = /^(?:(\s+)|("(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?|`(?:[^`\\]|\\.)*`?)|(0x[0-9a-f]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?)\b|([\p{L}_$][\p{L}\p{M}\p{N}_$]*)|([^]\p{M}*))/iu;
+
+const languages = new Map();
+for (const [name, language] of Object.entries(LANGUAGES)) {
+  const entry = { ...language, keywords: new Set(language.keywords.split(' ').filter(Boolean)) };
+  for (const alias of [name, ...language.aliases]) languages.set(alias, entry);
+}
+
+/**
+ * Simple syntax highlighting for code blocks in messages: keywords, strings,
+ * numbers and comments, one line at a time. Not a parser, so it will
+ * sometimes guess wrong, but it never changes the text itself.
+ */
+export class CodeHighlighter {
+  /**
+   * The language for a code block's tag, e.g. "js" or "Python", or null for
+   * an untagged block or one it doesn't know
+   */
+  static getLanguage(tag) {
+    return languages.get(String(tag || '').toLowerCase()) || null;
+  }
+
+  /**
+   * A line of code as styled tokens that are safe to break lines between.
+   * state carries an open block comment over to the next line.
+   */
+  static highlight(line, tag, state = {}) {
+    const language = CodeHighlighter.getLanguage(tag);
+    const tokens = [];
+    let rest = line;
+
+    while (rest) {
+      if (state.inBlockComment || (language && language.blockComment && rest.startsWith('/*'))) {
+        const end = rest.indexOf('*/', state.inBlockComment ? 0 : 2);
+        const comment = end === -1 ? rest : rest.slice(0, end + 2);
+        state.inBlockComment = end === -1;
+        tokens.push(chalk.gray(comment));
+        rest = rest.slice(comment.length);
+        continue;
+      }
+      if (language && rest.startsWith(language.lineComment)) {
+        tokens.push(chalk.gray(rest));
+        break;
+      }
+
+      const [match, space, string, number, word] = rest.match(TOKEN);
+      // Untagged blocks are often logs or prose, where quotes don't pair up
+      const token = string && !language ? match[0] : match;
+      rest = rest.slice(token.length);
+      if (space || !language) {
+        tokens.push(number ? chalk.yellow(token) : token);
+      } else if (string) {
+        tokens.push(chalk.green(token));
+      } else if (number || LITERALS.has(word)) {
+        tokens.push(chalk.yellow(token));
+      } else if (word && language.keywords.has(language.ignoreCase ? word.toLowerCase() : word)) {
+        tokens.push(chalk.magenta(token));
+      } else {
+        tokens.push(token);
+      }
+    }
+
+    return tokens;
+  }
+}
@@ -0,0 +1,147 @@
+export class CommandError extends Error {
+  constructor(message, command = null) {
+    super(message);
+    this.name = 'CommandError';
+    this.command = command;
+  }
+}
+
+/**
+ * Registry of slash commands typed into the chat input.
+ *
+ * A command definition looks like:
+ *   {
+ *     name: 'join',
+ *     aliases: ['j'],
+ *     description: 'Join a room',
+ *     args: [{ name: 'room', required: true, complete: (partial, context) => [...] }],
+ *     run: async (args, context) => {}
+ *   }
+ * An argument marked `rest: true` must come last and receives the remaining text verbatim.
+ */
+export class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+    this.aliases = new Map();
+  }
+
+  register(definition) {
+    if (!definition.name || typeof definition.run !== 'function') {
+      throw new Error('Command definitions need a name and a run function');
+    }
+
+    const command = { aliases: [], args: [], description: '', ...definition };
+    this.commands.set(command.name, command);
+    command.aliases.forEach(alias => this.aliases.set(alias, command.name));
+    return this;
+  }
+
+  get(name) {
+    const key = name.toLowerCase();
+    return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+  }
+
+  list() {
+    return Array.from(this.commands.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Input starting with a single slash is a command; "//text" sends "/text" as a message
+   */
+  isCommand(input) {
+    return input.startsWith('/') && !input.startsWith('//');
+  }
+
+  getUsage(command) {
+    const args = command.args.map(arg => {
+      const label = arg.rest ? `${arg.name}...` : arg.name;
+      return arg.required ? `<${label}>` : `[${label}]`;
+    });
+    return ['/' + command.name, ...args].join(' ');
+  }
+
+  /**
+   * Split "/name arg1 arg2 rest of text" into the command name and its raw argument text
+   */
+  split(input) {
+    const match = input.match(/^\/(\S*)\s*([\s\S]*)$/);
+    return { name: match ? match[1] : '', argText: match ? match[2] : '' };
+  }
+
+  parseArgs(command, argText) {
+    const args = {};
+    let remaining = argText.trim();
+
+    for (const arg of command.args) {
+      if (arg.rest) {
+        args[arg.name] = remaining;
+        remaining = '';
+      } else {
+        const match = remaining.match(/^(\S+)\s*([\s\S]*)$/);
+        args[arg.name] = match ? match[1] : '';
+        remaining = match ? match[2] : '';
+      }
+
+      if (arg.required && !args[arg.name]) {
+        throw new CommandError(`Missing <${arg.name}>. Usage: ${this.getUsage(command)}`, command);
+      }
+    }
+
+    if (remaining) {
+      throw new CommandError(`Too many arguments. Usage: ${this.getUsage(command)}`, command);
+    }
+
+    return args;
+  }
+
+  async execute(input, context = {}) {
+    const { name, argText } = this.split(input);
+    if (!name) {
+      throw new CommandError('Type a command after "/". Try /help');
+    }
+
+    const command = this.get(name);
+    if (!command) {
+      throw new CommandError(`Unknown command: /${name}. Try /help`);
+    }
+
+    const args = this.parseArgs(command, argText);
+    try {
+      return await command.run(args, context);
+    } catch (error) {
+      if (error instanceof CommandError) {
+        throw error;
+      }
+      throw new CommandError(`/${command.name} failed: ${error.message}`, command);
+    }
+  }
+
+  /**
+   * Completion candidates for the input field: full input strings, like the
+   * @mention completion in UserInterface
+   */
+  complete(input, context = {}) {
+    const { name, argText } = this.split(input);
+
+    // Still typing the command name
+    if (!/\s/.test(input)) {
+      return this.list()
+        .filter(command => command.name.startsWith(name.toLowerCase()))
+        .map(command => `/${command.name} `);
+    }
+
+    const command = this.get(name);
+    if (!command) return [];
+
+    // Work out which argument the cursor is in
+    const words = argText.split(/\s+/);
+    const partial = words[words.length - 1];
+    const arg = command.args[words.length - 1];
+    if (!arg || !arg.complete) return [];
+
+    const prefix = input.slice(0, input.length - partial.length);
+    return arg.complete(partial, context)
+      .filter(candidate => candidate.toLowerCase().startsWith(partial.toLowerCase()))
+      .map(candidate => prefix + candidate);
+  }
+}
@@ -2,79 +2,436 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import chalk from 'chalk';
+import { ConfigSchema } from './ConfigSchema.js';
+import { FileLock } from './FileLock.js';
 
+// Bookkeeping keys that hold the file version and profiles rather than settings
+const RESERVED_KEYS = ['version', 'profiles', 'activeProfile'];
+
+const PROJECT_FILE = '.bizchatrc';
+
+const CONFIG_VERSION = 1;
+
+/**
+ * Upgrades for older config files, keyed by the version each one produces
+ */
+const MIGRATIONS = {
+  // Settings became typed; profiles created before then hold numbers as strings
+  1: (config) => {
+    const coerce = (values) => {
+      for (const key of Object.keys(values)) {
+        if (!ConfigSchema.get(key) || ConfigSchema.isInternal(key)) continue;
+        try {
+          values[key] = ConfigSchema.parse(key, values[key]);
+        } catch (error) {
+          // Leave it as it is; lookups report values that don't fit
+        }
+      }
+    };
+    coerce(config);
+    Object.values(config.profiles || {}).forEach(coerce);
+    return config;
+  }
+};
+
+/**
+ * Settings live at the top level of ~/.bizchat/config.json (global) and in
+ * named profiles under `profiles`. A value is looked up, first match wins, in:
+ * BIZCHAT_* environment variables, the nearest .bizchatrc, the active profile,
+ * the global settings and the schema default. Command-line flags beat all of
+ * these; index.js applies them.
+ */
 export class ConfigManager {
-  constructor() {
+  constructor(options = {}) {
     this.configDir = path.join(os.homedir(), '.bizchat');
     this.configFile = path.join(this.configDir, 'config.json');
+    this.backupFile = `${this.configFile}.bak`;
+    this.lockFile = `${this.configFile}.lock`;
+    this.lock = new FileLock(this.lockFile);
+    this.profileOverride = null; // Set by --profile for this run only
+    this.env = options.env || process.env;
+    this.cwd = options.cwd || process.cwd();
+    this.projectConfig = null; // Loaded once per run
+    this.warned = new Set();
     this.ensureConfigDir();
   }
 
+  static isValidProfileName(name) {
+    return /^[a-zA-Z0-9_-]{1,32}$/.test(name);
+  }
+
   ensureConfigDir() {
     if (!fs.existsSync(this.configDir)) {
       fs.mkdirSync(this.configDir, { recursive: true });
     }
   }
 
+  static parseConfig(data) {
+    const config = JSON.parse(data);
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('not a JSON object');
+    }
+    return config;
+  }
+
   loadConfig() {
+    let data;
     try {
-      if (fs.existsSync(this.configFile)) {
-        const configData = fs.readFileSync(this.configFile, 'utf8');
-        return JSON.parse(configData);
+      data = fs.readFileSync(this.configFile, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.warnOnce(`Could not read ${this.configFile}: ${error.message}`);
       }
+      return {};
+    }
+
+    try {
+      return this.migrate(ConfigManager.parseConfig(data));
     } catch (error) {
-      console.warn(chalk.yellow('⚠️  Warning: Could not load config file, using defaults'));
+      return this.recoverConfig(error);
     }
-    return {};
   }
 
-  saveConfig(config) {
+  migrate(config) {
+    const version = Number(config.version) || 0;
+    if (version > CONFIG_VERSION) {
+      this.warnOnce(`${this.configFile} was written by a newer version of BizChat; some settings may be ignored`);
+      return config;
+    }
+    for (let next = version + 1; next <= CONFIG_VERSION; next++) {
+      config = MIGRATIONS[next](config);
+    }
+    return config;
+  }
+
+  /**
+   * Called when config.json can't be parsed, e.g. after a crash mid-write by
+   * an older version: keep the broken file aside and restore the backup
+   */
+  recoverConfig(error) {
     try {
-      fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
-      return true;
+      return this.withLock(() => {
+        // Another process may have repaired it while we waited for the lock
+        try {
+          return this.migrate(ConfigManager.parseConfig(fs.readFileSync(this.configFile, 'utf8')));
+        } catch (e) {
+          // Still broken
+        }
+
+        const corruptFile = `${this.configFile}.corrupt-${Date.now()}`;
+        fs.renameSync(this.configFile, corruptFile);
+
+        let config = {};
+        let restored = false;
+        try {
+          config = this.migrate(ConfigManager.parseConfig(fs.readFileSync(this.backupFile, 'utf8')));
+          restored = true;
+          this.writeConfigFile(config);
+        } catch (e) {
+          // No usable backup
+        }
+
+        this.warnOnce(`${this.configFile} was unreadable (${error.message}). ` +
+          `${restored ? 'Restored the last good copy' : 'Starting with empty settings'}; ` +
+          `the broken file was saved as ${corruptFile}`);
+        return config;
+      });
+    } catch (lockError) {
+      this.warnOnce(`${this.configFile} is unreadable (${error.message}) and could not be repaired: ${lockError.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Run fn while holding the config lock file, so concurrent bizchat
+   * processes don't overwrite each other's changes
+   */
+  withLock(fn) {
+    return this.lock.withLock(fn);
+  }
+
+  /**
+   * withLock that waits for the lock without blocking the event loop
+   */
+  withLockAsync(fn) {
+    return this.lock.withLockAsync(fn);
+  }
+
+  /**
+   * Replace config.json atomically: write a temp file, flush it, rename it
+   * over the old one. The old file becomes the backup if it was intact.
+   */
+  writeConfigFile(config) {
+    const { version, ...settings } = config;
+    const data = JSON.stringify({ version: CONFIG_VERSION, ...settings }, null, 2);
+
+    try {
+      ConfigManager.parseConfig(fs.readFileSync(this.configFile, 'utf8'));
+      fs.copyFileSync(this.configFile, this.backupFile);
+    } catch (error) {
+      // Nothing worth keeping
+    }
+
+    FileLock.writeAtomic(this.configFile, data);
+  }
+
+  /**
+   * Read, change and write the config under the lock. `mutate` edits the
+   * object in place and may return false to skip the write.
+   */
+  updateConfig(mutate) {
+    try {
+      return this.withLock(() => this.applyUpdate(mutate));
     } catch (error) {
       console.error(chalk.red('❌ Error saving config:'), error.message);
       return false;
     }
   }
 
-  getUsername() {
+  /**
+   * updateConfig for a process whose terminal is the chat screen: waits for
+   * the lock without freezing it, and rejects rather than printing so the
+   * caller can show the error in the UI
+   */
+  updateConfigAsync(mutate) {
+    return this.withLockAsync(() => this.applyUpdate(mutate));
+  }
+
+  applyUpdate(mutate) {
     const config = this.loadConfig();
-    return config.username || null;
+    if (mutate(config) === false) return false;
+    this.writeConfigFile(config);
+    return true;
+  }
+
+  getUsername() {
+    return this.getConfig('username') || null;
+  }
+
+  setUsername(username, profile = null) {
+    return this.setConfig('username', username, profile);
+  }
+
+  warnOnce(message) {
+    if (this.warned.has(message)) return;
+    this.warned.add(message);
+    console.warn(chalk.yellow(`⚠️  ${message}`));
+  }
+
+  /**
+   * The nearest .bizchatrc (JSON) in the current directory or above it
+   */
+  findProjectFile() {
+    let dir = path.resolve(this.cwd);
+    while (true) {
+      const file = path.join(dir, PROJECT_FILE);
+      if (fs.existsSync(file)) return file;
+      const parent = path.dirname(dir);
+      if (parent === dir) return null;
+      dir = parent;
+    }
   }
 
-  setUsername(username) {
+  loadProjectConfig() {
+    if (this.projectConfig) return this.projectConfig;
+
+    const file = this.findProjectFile();
+    let values = {};
+    if (file) {
+      try {
+        values = ConfigManager.parseConfig(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        this.warnOnce(`Ignoring ${file}: ${error.message}`);
+      }
+    }
+    this.projectConfig = { file, values };
+    return this.projectConfig;
+  }
+
+  /**
+   * A value from the environment or .bizchatrc, checked against the schema.
+   * Bad values are reported and skipped rather than failing every command.
+   */
+  parseExternal(key, raw, origin) {
+    try {
+      return ConfigSchema.parse(key, raw);
+    } catch (error) {
+      this.warnOnce(`Ignoring ${origin}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Value of a setting and where it came from: "env BIZCHAT_…", "project <file>",
+   * "profile <name>", "global" or "default"
+   */
+  resolveConfig(key) {
+    key = ConfigSchema.normalizeKey(key);
+    const definition = ConfigSchema.get(key);
+    const external = definition && !definition.internal;
+
+    if (external) {
+      const envName = ConfigSchema.getEnvName(key);
+      if (this.env[envName] !== undefined && this.env[envName] !== '') {
+        const value = this.parseExternal(key, this.env[envName], envName);
+        if (value !== null) return { value, source: `env ${envName}` };
+      }
+
+      const project = this.loadProjectConfig();
+      if (project.values[key] !== undefined && project.values[key] !== null) {
+        if (!ConfigSchema.isProjectKey(key)) {
+          this.warnOnce(`Ignoring ${key} in ${project.file}: set it with \`bizchat config set\` or ${envName}`);
+        } else {
+          const value = this.parseExternal(key, project.values[key], `${key} in ${project.file}`);
+          if (value !== null) return { value, source: `project ${project.file}` };
+        }
+      }
+    }
+
     const config = this.loadConfig();
-    config.username = username;
-    return this.saveConfig(config);
+    const profileName = this.getActiveProfileName(config);
+    const profile = profileName ? (config.profiles || {})[profileName] : null;
+
+    if (profile && profile[key] !== undefined && profile[key] !== null) {
+      return { value: profile[key], source: `profile ${profileName}` };
+    }
+    if (!RESERVED_KEYS.includes(key) && config[key] !== undefined && config[key] !== null) {
+      return { value: config[key], source: 'global' };
+    }
+    if (ConfigSchema.getDefault(key) !== null) {
+      return { value: ConfigSchema.getDefault(key), source: 'default' };
+    }
+    return { value: null, source: null };
   }
 
   getConfig(key) {
-    const config = this.loadConfig();
-    return config[key] || null;
+    return this.resolveConfig(key).value;
   }
 
-  setConfig(key, value) {
-    const config = this.loadConfig();
-    config[key] = value;
-    return this.saveConfig(config);
+  /**
+   * Write a setting globally, or into the named profile
+   */
+  setConfig(key, value, profile = null) {
+    return this.updateConfig((config) => {
+      if (profile) {
+        if (!config.profiles || !config.profiles[profile]) return false;
+        config.profiles[profile][key] = value;
+      } else {
+        config[key] = value;
+      }
+    });
+  }
+
+  /**
+   * Remove a setting globally, or from the named profile. Returns false if it wasn't set.
+   */
+  unsetConfig(key, profile = null) {
+    return this.updateConfig((config) => {
+      const target = profile ? (config.profiles || {})[profile] : config;
+      if (!target || target[key] === undefined) return false;
+      delete target[key];
+    });
+  }
+
+  /**
+   * Every user-facing setting that has a value, with its source. Internal
+   * state such as the last update check is left out.
+   */
+  getConfigEntries() {
+    return ConfigSchema.keys()
+      .map(key => ({ key, ...this.resolveConfig(key) }))
+      .filter(entry => entry.source);
+  }
+
+  /**
+   * The profile in effect: --profile for this run, else the one chosen with `profile use`
+   */
+  getActiveProfileName(config = this.loadConfig()) {
+    const name = this.profileOverride || config.activeProfile || null;
+    return name && config.profiles && config.profiles[name] ? name : null;
+  }
+
+  setProfileOverride(name) {
+    this.profileOverride = name;
+  }
+
+  getProfiles() {
+    return this.loadConfig().profiles || {};
+  }
+
+  hasProfile(name) {
+    return Object.prototype.hasOwnProperty.call(this.getProfiles(), name);
+  }
+
+  createProfile(name, values = {}) {
+    return this.updateConfig((config) => {
+      config.profiles = { ...(config.profiles || {}), [name]: values };
+    });
+  }
+
+  /**
+   * Make a profile the default for every command; null goes back to global settings
+   */
+  useProfile(name) {
+    return this.updateConfig((config) => {
+      if (name) {
+        config.activeProfile = name;
+      } else {
+        delete config.activeProfile;
+      }
+    });
+  }
+
+  deleteProfile(name) {
+    return this.updateConfig((config) => {
+      if (!config.profiles || !config.profiles[name]) return false;
+      delete config.profiles[name];
+      if (config.activeProfile === name) {
+        delete config.activeProfile;
+      }
+    });
+  }
+
+  /**
+   * Room passwords saved in plain text before the secrets store existed,
+   * keyed by "<host>/<room>". Read-only now; `secrets import` moves them.
+   */
+  getLegacyRoomPasswords() {
+    return this.getConfig('roomPasswords') || {};
+  }
+
+  getRoomPassword(host, room) {
+    return this.getLegacyRoomPasswords()[`${host}/${room}`] || null;
+  }
+
+  clearLegacyRoomPasswords() {
+    return this.unsetConfig('roomPasswords');
   }
 
   getAllConfig() {
     return this.loadConfig();
   }
 
+  /**
+   * Delete config.json, keeping it as the backup in case it was a mistake
+   */
   clearConfig() {
     try {
-      if (fs.existsSync(this.configFile)) {
+      this.withLock(() => {
+        if (!fs.existsSync(this.configFile)) return;
+        try {
+          ConfigManager.parseConfig(fs.readFileSync(this.configFile, 'utf8'));
+          fs.copyFileSync(this.configFile, this.backupFile);
+        } catch (error) {
+          // Don't replace a good backup with a broken file
+        }
         fs.unlinkSync(this.configFile);
-        return true;
-      }
+      });
+      return true;
     } catch (error) {
       console.error(chalk.red('❌ Error clearing config:'), error.message);
       return false;
     }
-    return true;
   }
 
   getConfigPath() {
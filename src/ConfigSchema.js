@@ -0,0 +1,117 @@
+const DEFAULT_HOST = 'https://biz-chat-server.sreeragh-bizmo.workers.dev';
+
+/**
+ * Every config key BizChat reads. Internal keys are state kept by the CLI
+ * itself: they can't be set by hand and are left out of `config --list`.
+ * Only `project` keys may come from a .bizchatrc, since that file can sit in
+ * any checkout; anything deciding where traffic goes or how it is checked
+ * has to be set by the user.
+ */
+const SCHEMA = {
+  username: { type: 'string', maxLength: 32, description: 'Name shown to others in chat' },
+  host: { type: 'string', default: DEFAULT_HOST, description: 'Chat server host or URL (http, https, ws, wss; may include a port and base path)' },
+  caFile: { type: 'string', description: 'PEM file with an extra CA certificate to trust' },
+  insecure: { type: 'boolean', default: false, description: 'Skip TLS certificate checks (self-signed test servers only)' },
+  proxy: { type: 'string', description: 'Proxy URL (http, https, socks4, socks5), or "direct" to ignore HTTPS_PROXY' },
+  noProxy: { type: 'string', description: 'Hosts reached without the proxy, comma-separated (added to NO_PROXY)' },
+  room: { type: 'string', project: true, description: 'Rooms `chat` joins when -r is not given (comma-separated)' },
+  historyLines: { type: 'integer', project: true, min: 0, default: 50, description: 'Stored messages shown when joining a room' },
+  history: { type: 'boolean', default: true, description: 'Read and write local chat history' },
+  historyMaxEntries: { type: 'integer', min: 1, default: 5000, description: 'History entries kept per room' },
+  historyMaxAgeDays: { type: 'integer', min: 1, default: 90, description: 'Days of history kept' },
+  reconnectMaxDelay: { type: 'integer', project: true, min: 1, default: 30, description: 'Longest wait between reconnect attempts, in seconds' },
+  richText: { type: 'boolean', project: true, default: true, description: 'Render Markdown formatting and highlighted code blocks in messages' },
+  lastUpdateCheck: { type: 'string', internal: true },
+  availableUpdate: { type: 'string', internal: true },
+  roomPasswords: { type: 'object', internal: true }
+};
+
+const BOOLEANS = {
+  true: true, yes: true, on: true, 1: true,
+  false: false, no: false, off: false, 0: false
+};
+
+export class ConfigSchema {
+  /**
+   * Keys users can set, in declaration order
+   */
+  static keys() {
+    return Object.keys(SCHEMA).filter(key => !SCHEMA[key].internal);
+  }
+
+  /**
+   * Accept "history-lines" as well as "historyLines"
+   */
+  static normalizeKey(key) {
+    return String(key).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+  }
+
+  static get(key) {
+    return SCHEMA[ConfigSchema.normalizeKey(key)] || null;
+  }
+
+  /**
+   * Whether a .bizchatrc may set the key
+   */
+  static isProjectKey(key) {
+    const definition = ConfigSchema.get(key);
+    return !!(definition && definition.project);
+  }
+
+  static isInternal(key) {
+    const definition = ConfigSchema.get(key);
+    return !!(definition && definition.internal);
+  }
+
+  static getDefault(key) {
+    const definition = ConfigSchema.get(key);
+    return definition && definition.default !== undefined ? definition.default : null;
+  }
+
+  /**
+   * BIZCHAT_HISTORY_LINES for historyLines
+   */
+  static getEnvName(key) {
+    return 'BIZCHAT_' + ConfigSchema.normalizeKey(key).replace(/([A-Z])/g, '_$1').toUpperCase();
+  }
+
+  /**
+   * Turn a value from the command line, the environment or a file into the
+   * key's type. Throws with a readable message if it doesn't fit.
+   */
+  static parse(key, raw) {
+    const name = ConfigSchema.normalizeKey(key);
+    const definition = SCHEMA[name];
+    if (!definition || definition.internal) {
+      throw new Error(`Unknown config key "${key}". Known keys: ${ConfigSchema.keys().join(', ')}`);
+    }
+
+    if (definition.type === 'integer') {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(value) || String(raw).trim() === '') {
+        throw new Error(`${name} must be a whole number`);
+      }
+      if (definition.min !== undefined && value < definition.min) {
+        throw new Error(`${name} must be at least ${definition.min}`);
+      }
+      return value;
+    }
+
+    if (definition.type === 'boolean') {
+      const value = typeof raw === 'boolean' ? raw : BOOLEANS[String(raw).trim().toLowerCase()];
+      if (value === undefined) {
+        throw new Error(`${name} must be true or false`);
+      }
+      return value;
+    }
+
+    const value = String(raw);
+    if (value.trim() === '') {
+      throw new Error(`${name} cannot be empty`);
+    }
+    if (definition.maxLength && value.length > definition.maxLength) {
+      throw new Error(`${name} must be ${definition.maxLength} characters or less`);
+    }
+    return value;
+  }
+}
@@ -0,0 +1,126 @@
+import fetch from 'node-fetch';
+import { WebSocket } from 'ws';
+
+/**
+ * Reaches the chat server the same way the rest of BizChat does, through the
+ * same proxy and TLS settings, and reports what worked. Used by `bizchat doctor`.
+ */
+export class ConnectionDoctor {
+  constructor(endpoint, options = {}) {
+    this.endpoint = endpoint;
+    this.updateChecker = options.updateChecker || null;
+    this.timeout = options.timeout ?? 10000;
+  }
+
+  /**
+   * Each kind of traffic, its URL and the route it takes
+   */
+  getRoutes() {
+    const routes = [
+      { name: 'Room API', url: this.endpoint.getHttpUrl('/api/room'), proxy: this.endpoint.proxy },
+      { name: 'WebSocket', url: this.endpoint.getWebSocketUrl('/api/room/<room>/websocket'), proxy: this.endpoint.proxy }
+    ];
+    if (this.updateChecker) {
+      routes.push({ name: 'Update check', url: this.updateChecker.getRegistryUrl(), proxy: this.updateChecker.proxy });
+    }
+
+    return routes.map(({ proxy, ...route }) => {
+      try {
+        return { ...route, route: proxy ? proxy.describeRoute(route.url) : 'direct' };
+      } catch (error) {
+        return { ...route, route: null, error: error.message };
+      }
+    });
+  }
+
+  describeTls() {
+    if (!this.endpoint.secure) return 'none (plain connection)';
+    if (this.endpoint.insecure) return 'certificate checks OFF (--insecure)';
+    if (this.endpoint.caFile) return `system CAs + ${this.endpoint.caFile}`;
+    return 'system CAs';
+  }
+
+  /**
+   * fetch with a timeout; node-fetch 3 dropped its own timeout option
+   */
+  async fetchWithTimeout(url, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    try {
+      return await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      throw new Error(error.name === 'AbortError' ? `no answer within ${this.timeout / 1000}s` : error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Any HTTP answer, even a 404, shows the server can be reached. The same
+   * goes for the registry in checkUpdates().
+   */
+  async checkRoomApi() {
+    const started = Date.now();
+    const response = await this.fetchWithTimeout(this.endpoint.getHttpUrl('/api/room'), {
+      agent: this.endpoint.getAgent()
+    });
+    return `HTTP ${response.status} in ${Date.now() - started}ms`;
+  }
+
+  /**
+   * Opens a socket and closes it before the name handshake, so nobody is
+   * announced as joining
+   */
+  checkWebSocket() {
+    return new Promise((resolve, reject) => {
+      const started = Date.now();
+      const ws = new WebSocket(this.endpoint.getWebSocketUrl('/api/room/bizchat-doctor/websocket'), {
+        ...this.endpoint.getWebSocketOptions(),
+        handshakeTimeout: this.timeout
+      });
+
+      ws.once('open', () => {
+        ws.close();
+        resolve(`upgrade accepted in ${Date.now() - started}ms`);
+      });
+      ws.once('unexpected-response', (request, response) => {
+        request.destroy();
+        reject(new Error(`server answered HTTP ${response.statusCode} instead of upgrading`));
+      });
+      ws.once('error', (error) => reject(error));
+    });
+  }
+
+  async checkUpdates() {
+    const url = this.updateChecker.getRegistryUrl();
+    const started = Date.now();
+    const proxy = this.updateChecker.proxy;
+    const response = await this.fetchWithTimeout(url, {
+      agent: proxy ? proxy.getAgent(url) : undefined
+    });
+    return `HTTP ${response.status} in ${Date.now() - started}ms`;
+  }
+
+  /**
+   * Run every check in turn: [{ name, ok, detail }]
+   */
+  async run() {
+    const checks = [
+      ['Room API', () => this.checkRoomApi()],
+      ['WebSocket', () => this.checkWebSocket()]
+    ];
+    if (this.updateChecker) {
+      checks.push(['Update check', () => this.checkUpdates()]);
+    }
+
+    const results = [];
+    for (const [name, check] of checks) {
+      try {
+        results.push({ name, ok: true, detail: await check() });
+      } catch (error) {
+        results.push({ name, ok: false, detail: error.message });
+      }
+    }
+    return results;
+  }
+}
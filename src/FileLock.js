@@ -0,0 +1,129 @@
+import fs from 'fs';
+
+const LOCK_TIMEOUT = 3000;
+const STALE_LOCK_AGE = 10000;
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * A lock file holding the owner's pid, so concurrent bizchat processes
+ * take turns at read-modify-write updates of a shared file. Nested
+ * withLock calls from the same process reuse the lock already held.
+ */
+export class FileLock {
+  constructor(file) {
+    this.file = file;
+    this.depth = 0;
+  }
+
+  /**
+   * Replace a file atomically: write a temp file, flush it, rename it over the old one
+   */
+  static writeAtomic(file, data, mode = 0o600) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempFile, 'w', mode);
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, file);
+  }
+
+  withLock(fn) {
+    if (this.depth === 0) {
+      this.acquire();
+    }
+    return this.hold(fn);
+  }
+
+  /**
+   * withLock that waits for the lock without blocking the event loop
+   */
+  async withLockAsync(fn) {
+    if (this.depth === 0) {
+      await this.acquireAsync();
+    }
+    return this.hold(fn);
+  }
+
+  hold(fn) {
+    this.depth++;
+    try {
+      return fn();
+    } finally {
+      this.depth--;
+      if (this.depth === 0) {
+        this.release();
+      }
+    }
+  }
+
+  acquire() {
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    while (!this.tryLock()) {
+      if (Date.now() > deadline) throw this.timeoutError();
+      sleepSync(25);
+    }
+  }
+
+  async acquireAsync() {
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    while (!this.tryLock()) {
+      if (Date.now() > deadline) throw this.timeoutError();
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+  }
+
+  /**
+   * Take the lock file if it's free. Returns false while another process holds it.
+   */
+  tryLock() {
+    while (true) {
+      try {
+        fs.writeFileSync(this.file, String(process.pid), { flag: 'wx' });
+        return true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // A lock left behind by a crashed process must not block forever
+      if (!this.isStale()) return false;
+      try {
+        fs.unlinkSync(this.file);
+      } catch (error) {
+        // Someone else cleaned it up first
+      }
+    }
+  }
+
+  timeoutError() {
+    return new Error(`Timed out waiting for ${this.file}; remove it if no other bizchat is running`);
+  }
+
+  isStale() {
+    try {
+      const pid = Number(fs.readFileSync(this.file, 'utf8'));
+      const age = Date.now() - fs.statSync(this.file).mtimeMs;
+      if (age > STALE_LOCK_AGE) return true;
+      if (pid > 0) {
+        process.kill(pid, 0); // Throws if the process is gone
+      }
+      return false;
+    } catch (error) {
+      // EPERM means the process exists but belongs to someone else
+      return error.code === 'ESRCH' || error.code === 'ENOENT';
+    }
+  }
+
+  release() {
+    try {
+      fs.unlinkSync(this.file);
+    } catch (error) {
+      // Already gone
+    }
+  }
+}
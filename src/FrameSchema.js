@@ -0,0 +1,93 @@
+/**
+ * Protocol version this client speaks. Servers that don't send one in their
+ * 'ready' frame (like workers-chat itself) are taken to speak version 1.
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Every frame a server may send, with its fields. A frame's type is decided
+ * by which required fields it carries; fields not listed here are allowed,
+ * so servers can add to a frame without breaking older clients.
+ */
+const FRAMES = {
+  error: {
+    error: { type: 'string', required: true }
+  },
+  joined: {
+    joined: { type: 'string', required: true }
+  },
+  quit: {
+    quit: { type: 'string', required: true }
+  },
+  ready: {
+    ready: { type: 'true', required: true },
+    protocol: { type: 'integer' }, // protocol version the server speaks
+    features: { type: 'strings' } // optional extensions, e.g. "passwords"
+  },
+  message: {
+    name: { type: 'string', required: true },
+    message: { type: 'string', required: true },
+    timestamp: { type: 'number' },
+    id: { type: 'string' } // the sender's client ID, echoed by servers with "messageIds"
+  }
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value) && value >= 1,
+  true: (value) => value === true,
+  strings: (value) => Array.isArray(value) && value.every(item => typeof item === 'string')
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a positive whole number',
+  true: 'true',
+  strings: 'a list of strings'
+};
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  return typeof value === 'string' ? `"${value.length > 20 ? value.slice(0, 20) + '…' : value}"` : typeof value;
+}
+
+export class FrameSchema {
+  static types() {
+    return Object.keys(FRAMES);
+  }
+
+  /**
+   * Work out what kind of frame this is and whether it is well formed.
+   * Returns { type, problems }, where type is a frame type, 'unknown' for
+   * frames of no known type, or 'invalid' with problems saying why.
+   */
+  static check(frame) {
+    if (frame === null || typeof frame !== 'object' || Array.isArray(frame)) {
+      return { type: 'invalid', problems: [`frame must be a JSON object, not ${describe(frame)}`] };
+    }
+
+    const candidates = Object.keys(FRAMES).filter(type =>
+      Object.entries(FRAMES[type]).some(([field, rule]) => rule.required && field in frame)
+    );
+    if (candidates.length === 0) {
+      return { type: 'unknown', problems: [] };
+    }
+    if (candidates.length > 1) {
+      return { type: 'invalid', problems: [`ambiguous frame: has fields of ${candidates.join(' and ')} frames`] };
+    }
+
+    const type = candidates[0];
+    const problems = [];
+    for (const [field, rule] of Object.entries(FRAMES[type])) {
+      if (!(field in frame)) {
+        if (rule.required) problems.push(`${type} frame is missing "${field}"`);
+      } else if (!TYPE_CHECKS[rule.type](frame[field])) {
+        problems.push(`"${field}" must be ${TYPE_NAMES[rule.type]}, not ${describe(frame[field])}`);
+      }
+    }
+    return problems.length > 0 ? { type: 'invalid', problems } : { type, problems };
+  }
+}
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+/**
+ * Append-only chat history, one JSONL file per host and room under
+ * ~/.bizchat/history/<host>/<room>.jsonl
+ */
+export class HistoryStore {
+  constructor(hostname, options = {}) {
+    this.hostname = hostname;
+    this.historyDir = options.historyDir || path.join(os.homedir(), '.bizchat', 'history');
+    this.maxEntries = options.maxEntries ?? 5000; // Per room
+    this.maxAgeDays = options.maxAgeDays ?? 90;
+    this.appendsSincePrune = new Map();
+  }
+
+  getHostDir() {
+    // Keep the host readable but safe as a directory name (ports, paths)
+    return path.join(this.historyDir, this.hostname.replace(/[^a-zA-Z0-9.-]/g, '_'));
+  }
+
+  getRoomFile(roomname) {
+    return path.join(this.getHostDir(), `${encodeURIComponent(roomname)}.jsonl`);
+  }
+
+  /**
+   * Key used to recognise the same chat message when the server replays it
+   */
+  static getEntryKey(entry) {
+    return `${entry.timestamp}:${entry.name}:${entry.text}`;
+  }
+
+  append(roomname, entry) {
+    try {
+      fs.mkdirSync(this.getHostDir(), { recursive: true });
+      fs.appendFileSync(this.getRoomFile(roomname), JSON.stringify(entry) + '\n');
+    } catch (error) {
+      return false;
+    }
+
+    // Prune occasionally rather than on every write
+    const appends = (this.appendsSincePrune.get(roomname) || 0) + 1;
+    this.appendsSincePrune.set(roomname, appends);
+    if (appends >= 500) {
+      this.prune(roomname);
+    }
+    return true;
+  }
+
+  /**
+   * Load stored entries for a room, oldest first. Unreadable lines are skipped.
+   */
+  load(roomname) {
+    let data;
+    try {
+      data = fs.readFileSync(this.getRoomFile(roomname), 'utf8');
+    } catch (error) {
+      return [];
+    }
+
+    const entries = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        // A partially written last line (e.g. after a crash) is not fatal
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Drop entries older than maxAgeDays and keep at most maxEntries per room
+   */
+  prune(roomname) {
+    this.appendsSincePrune.set(roomname, 0);
+
+    const entries = this.load(roomname);
+    const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+    const kept = entries.filter(entry => entry.timestamp >= cutoff).slice(-this.maxEntries);
+
+    if (kept.length === entries.length) {
+      return false;
+    }
+
+    try {
+      const file = this.getRoomFile(roomname);
+      fs.writeFileSync(`${file}.tmp`, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+      fs.renameSync(`${file}.tmp`, file);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
@@ -0,0 +1,65 @@
+import { spawn } from 'child_process';
+
+// Clipboard tools to try in turn; anything that isn't macOS or Windows tries the X11 and Wayland ones
+const CLIPBOARD_COMMANDS = {
+  darwin: [['pbcopy']],
+  win32: [['clip']],
+  other: [['wl-copy'], ['xclip', '-selection', 'clipboard'], ['xsel', '--clipboard', '--input']]
+};
+
+/**
+ * Opens links in the browser and copies them to the clipboard, for /links.
+ * URLs come from LinkFinder and are passed as arguments, never through a
+ * shell.
+ */
+export class LinkActions {
+  /**
+   * Hand a URL to the system's opener. Resolves once it has started.
+   */
+  static open(url, platform = process.platform) {
+    let command = ['xdg-open', url];
+    if (platform === 'darwin') {
+      command = ['open', url];
+    } else if (platform === 'win32') {
+      // `start` would go through cmd.exe, which treats & in URLs as a separator
+      command = ['rundll32', 'url.dll,FileProtocolHandler', url];
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(command[0], command.slice(1), { stdio: 'ignore', detached: true });
+      child.once('error', (error) => {
+        reject(error.code === 'ENOENT' ? new Error(`${command[0]} was not found`) : error);
+      });
+      child.once('spawn', () => {
+        child.unref();
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Put text on the clipboard with the first clipboard tool that works. With
+   * none (over SSH, say) the terminal is asked to do it with OSC 52, which
+   * most support. Returns the tool used, or 'terminal'.
+   */
+  static async copy(text, stream = process.stdout, platform = process.platform) {
+    for (const [command, ...args] of CLIPBOARD_COMMANDS[platform] || CLIPBOARD_COMMANDS.other) {
+      if (await LinkActions.pipeTo(command, args, text)) return command;
+    }
+    stream.write(`\u001b]52;c;${Buffer.from(text).toString('base64')}\u0007`);
+    return 'terminal';
+  }
+
+  /**
+   * Run a command with text on its stdin; resolves to whether it succeeded
+   */
+  static pipeTo(command, args, text) {
+    return new Promise((resolve) => {
+      const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'ignore'] });
+      child.once('error', () => resolve(false));
+      child.once('close', code => resolve(code === 0));
+      child.stdin.on('error', () => {});
+      child.stdin.end(text);
+    });
+  }
+}
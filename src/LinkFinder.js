@@ -0,0 +1,97 @@
+import chalk from 'chalk';
+
+// Anything from http:// or https:// up to whitespace, quotes or angle brackets
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/giu;
+
+// Punctuation that ends a sentence rather than the URL. Closing brackets and
+// curly quotes are only dropped when the URL doesn't open them itself.
+const TRAILING_PUNCTUATION = /[.,;:!?]+$/u;
+const BRACKETS = { ')': '(', ']': '[', '}': '{', '”': '“', '’': '‘', '»': '«' };
+
+// Terminals known to understand OSC 8, by $TERM_PROGRAM and $TERM
+const HYPERLINK_PROGRAMS = ['iTerm.app', 'WezTerm', 'vscode', 'ghostty', 'Hyper', 'Tabby'];
+const HYPERLINK_TERMS = ['xterm-kitty', 'alacritty', 'foot', 'xterm-ghostty', 'wezterm'];
+
+/**
+ * Finds web links in message text and marks them up as OSC 8 hyperlinks,
+ * which terminals that support them make clickable. Only ever given text
+ * that TextSanitizer has cleaned, so a link can't smuggle in escapes of its
+ * own; the URL inside the escape is the parsed, percent-encoded form.
+ */
+export class LinkFinder {
+  /**
+   * Each http(s) link in text as { index, text, url }: where it starts, how
+   * it was written and the normalized URL to open
+   */
+  static find(text) {
+    const links = [];
+    for (const match of text.matchAll(URL_PATTERN)) {
+      const written = LinkFinder.trim(match[0]);
+      let url;
+      try {
+        url = new URL(written);
+      } catch (error) {
+        continue;
+      }
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        links.push({ index: match.index, text: written, url: url.href });
+      }
+    }
+    return links;
+  }
+
+  /**
+   * Drop what was probably written around the link: "(see https://a.b/c)."
+   * keeps neither the period nor the closing parenthesis, but a link such as
+   * https://en.wikipedia.org/wiki/Tree_(graph_theory) keeps its own.
+   */
+  static trim(text) {
+    let result = text;
+    for (;;) {
+      const stripped = result.replace(TRAILING_PUNCTUATION, '');
+      const last = stripped[stripped.length - 1];
+      const open = BRACKETS[last];
+      const count = char => stripped.split(char).length - 1;
+      if (open && count(open) < count(last)) {
+        result = stripped.slice(0, -1);
+      } else {
+        return stripped;
+      }
+    }
+  }
+
+  /**
+   * Text with every link in it styled and marked up as a hyperlink
+   */
+  static linkify(text) {
+    let result = '';
+    let last = 0;
+    for (const link of LinkFinder.find(text)) {
+      result += text.slice(last, link.index) + LinkFinder.format(link);
+      last = link.index + link.text.length;
+    }
+    return result + text.slice(last);
+  }
+
+  static format(link) {
+    return `\u001b]8;;${link.url}\u001b\\${chalk.blueBright.underline(link.text)}\u001b]8;;\u001b\\`;
+  }
+
+  /**
+   * Whether the terminal makes OSC 8 hyperlinks clickable. Terminals that
+   * don't should ignore them, but some print them, so only known ones get
+   * them. FORCE_HYPERLINK=1 or 0 settles it either way.
+   */
+  static isSupported(env = process.env, stream = process.stdout) {
+    if (env.FORCE_HYPERLINK !== undefined) {
+      return env.FORCE_HYPERLINK !== '0' && env.FORCE_HYPERLINK !== 'false';
+    }
+    if (!stream.isTTY) return false;
+    // tmux and screen only pass them on when set up to
+    if (env.TMUX || env.STY) return false;
+
+    if (env.WT_SESSION || env.KITTY_WINDOW_ID || env.WEZTERM_PANE || env.KONSOLE_VERSION || env.DOMTERM) return true;
+    if (Number(env.VTE_VERSION) >= 5000) return true;
+    return HYPERLINK_PROGRAMS.includes(env.TERM_PROGRAM) || HYPERLINK_TERMS.includes(env.TERM);
+  }
+}
@@ -0,0 +1,146 @@
+import chalk from 'chalk';
+import { CodeHighlighter } from './CodeHighlighter.js';
+import { LinkFinder } from './LinkFinder.js';
+import { TextLayout } from './TextLayout.js';
+
+// ``` or ~~~ opening a code block, with the language after it
+const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,3}[.)])\s+(.*)$/;
+
+// Code spans, **bold**, __bold__, ~~strike~~, *italic* and _italic_. Markers
+// inside words are left alone, so snake_case and 2*3*4 stay as they are.
+const INLINE = new RegExp([
+  '(`+)([^]*?[^`])\\1(?!`)',
+  '\\*\\*(?=\\S)([^]*?\\S)\\*\\*',
+  '(?<![\\p{L}\\p{N}_])__(?=\\S)([^]*?\\S)__(?![\\p{L}\\p{N}_])',
+  '~~(?=\\S)([^]*?\\S)~~',
+  '(?<![\\p{L}\\p{N}*])\\*(?=[^\\s*])([^]*?[^\\s*])\\*(?![\\p{L}\\p{N}*])',
+  '(?<![\\p{L}\\p{N}_])_(?=[^\\s_])([^]*?[^\\s_])_(?![\\p{L}\\p{N}_])'
+].join('|'), 'u');
+
+/**
+ * Renders the Markdown people type in chat: emphasis, code spans, fenced
+ * code blocks, block quotes and lists, with bare URLs made into hyperlinks.
+ * Only styles are added, so anything else, Markdown links and HTML
+ * included, stays literal text. Each line of a message is its own
+ * paragraph, as in a chat rather than a document.
+ */
+export class MarkdownRenderer {
+  /**
+   * Split text into blocks: { type: 'paragraph' | 'quote', text },
+   * { type: 'item', depth, marker, text }, { type: 'code', language, lines }
+   * and { type: 'blank' } between them
+   */
+  static parse(text) {
+    const blocks = [];
+    let code = null; // The code block still open
+
+    for (const line of text.split('\n')) {
+      const fence = line.match(FENCE);
+      if (code) {
+        const closes = fence && !fence[2] && fence[1][0] === code.marker[0] && fence[1].length >= code.marker.length;
+        if (closes) {
+          code = null;
+        } else {
+          code.lines.push(line);
+        }
+        continue;
+      }
+
+      const quote = line.match(QUOTE);
+      const item = line.match(LIST_ITEM);
+      if (fence) {
+        code = { type: 'code', marker: fence[1], language: fence[2], lines: [] };
+        blocks.push(code);
+      } else if (quote) {
+        blocks.push({ type: 'quote', text: quote[1] });
+      } else if (item) {
+        blocks.push({ type: 'item', depth: Math.floor(item[1].length / 2), marker: item[2], text: item[3] });
+      } else if (!line.trim()) {
+        if (blocks.length > 0 && blocks[blocks.length - 1].type !== 'blank') blocks.push({ type: 'blank' });
+      } else {
+        blocks.push({ type: 'paragraph', text: line });
+      }
+    }
+
+    if (code && code.lines[code.lines.length - 1] === '') code.lines.pop(); // Never closed
+    if (blocks.length > 0 && blocks[blocks.length - 1].type === 'blank') blocks.pop();
+    return blocks;
+  }
+
+  /**
+   * Emphasis, code spans and links in a line of text, as chalk styles and
+   * hyperlinks. A link is taken whole, so underscores in it stay as they are.
+   */
+  static inline(text) {
+    let result = '';
+    let rest = text;
+
+    for (;;) {
+      const match = rest.match(INLINE);
+      const [link] = LinkFinder.find(rest);
+      if (link && (!match || link.index < match.index)) {
+        result += rest.slice(0, link.index) + LinkFinder.format(link);
+        rest = rest.slice(link.index + link.text.length);
+        continue;
+      }
+      if (!match) break;
+
+      const [whole, ticks, code, bold, underscoreBold, strike, italic, underscoreItalic] = match;
+      result += rest.slice(0, match.index);
+      if (ticks) {
+        result += chalk.cyan(code);
+      } else if (bold || underscoreBold) {
+        result += chalk.bold(MarkdownRenderer.inline(bold || underscoreBold));
+      } else if (strike) {
+        result += chalk.strikethrough(MarkdownRenderer.inline(strike));
+      } else {
+        result += chalk.italic(MarkdownRenderer.inline(italic || underscoreItalic));
+      }
+      rest = rest.slice(match.index + whole.length);
+    }
+
+    return result + rest;
+  }
+
+  /**
+   * Lay out text as lines of at most `width` cells. The first block goes
+   * after `first`, on the message's first line; everything else starts at
+   * `indent`.
+   */
+  static render(text, width, { first = '', indent = '' } = {}) {
+    const lines = [];
+
+    MarkdownRenderer.parse(text).forEach((block, index) => {
+      const start = index === 0 ? first : indent;
+
+      if (block.type === 'code') {
+        // Broken only between tokens, with continuations indented a bit more
+        const bar = chalk.gray('│ ');
+        const state = {};
+        if (index === 0) lines.push(first);
+        for (const line of block.lines) {
+          const tokens = CodeHighlighter.highlight(line, block.language, state);
+          lines.push(...TextLayout.flow(tokens, width, { first: indent + bar, indent: `${indent}${bar}  ` }));
+        }
+      } else if (block.type === 'quote') {
+        const bar = chalk.gray('┃ ');
+        lines.push(...TextLayout.wrap(MarkdownRenderer.inline(block.text), width, { first: start + bar, indent: indent + bar }));
+      } else if (block.type === 'item') {
+        const marker = /\d/.test(block.marker) ? block.marker : '•';
+        const padding = '  '.repeat(block.depth);
+        lines.push(...TextLayout.wrap(MarkdownRenderer.inline(block.text), width, {
+          first: `${start}${padding}${chalk.gray(marker)} `,
+          indent: indent + padding + ' '.repeat(TextLayout.width(marker) + 1)
+        }));
+      } else if (block.type === 'blank') {
+        lines.push(start);
+      } else {
+        lines.push(...TextLayout.wrap(MarkdownRenderer.inline(block.text), width, { first: start, indent }));
+      }
+    });
+
+    return lines.length > 0 ? lines : [first];
+  }
+}
@@ -0,0 +1,88 @@
+import { WebSocketClient } from './WebSocketClient.js';
+
+/**
+ * Posts messages to a room without the terminal UI, for scripts and CI.
+ * Each message counts as delivered once the server echoes it back.
+ */
+export class MessageSender {
+  constructor(endpoint, options = {}) {
+    this.username = options.username;
+    this.roomname = options.roomname;
+    this.timeout = options.timeout ?? 10000;
+    // One attempt only: a script should fail fast rather than retry in the background
+    this.client = new WebSocketClient(endpoint, {
+      maxReconnectAttempts: 0,
+      connectTimeout: this.timeout,
+      ackTimeout: this.timeout,
+      password: options.password
+    });
+    this.pendingEcho = null;
+    this.rejectPending = null;
+    this.failure = null;
+
+    this.client.on('acked', (id, data) => this.handleEcho(id, data));
+    this.client.on('error', (error) => this.fail(new Error(error)));
+    this.client.on('disconnected', (reason) => {
+      this.fail(new Error(`Disconnected${reason ? `: ${reason}` : ''}`));
+    });
+  }
+
+  /**
+   * Connect and wait for the server's 'ready' frame
+   */
+  async open() {
+    const ready = this.waitFor((resolve) => this.client.once('ready', resolve), 'Timed out waiting for the room to be ready');
+    await Promise.all([ready, this.client.connect(this.roomname, this.username)]);
+  }
+
+  async send(text) {
+    if (this.failure) throw this.failure;
+
+    const echoed = this.waitFor((resolve) => {
+      this.pendingEcho = { id: null, resolve };
+    }, `Timed out waiting for the server to confirm: "${text}"`);
+
+    this.pendingEcho.id = this.client.sendMessage(text);
+    await echoed;
+  }
+
+  handleEcho(id, data) {
+    if (this.pendingEcho && id === this.pendingEcho.id) {
+      const { resolve } = this.pendingEcho;
+      this.pendingEcho = null;
+      resolve(data);
+    }
+  }
+
+  /**
+   * Wrap a wait in the timeout, and in any failure reported in the meantime
+   */
+  waitFor(register, timeoutMessage) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(timeoutMessage)), this.timeout);
+      this.rejectPending = (error) => {
+        clearTimeout(timer);
+        reject(error);
+      };
+      register((value) => {
+        clearTimeout(timer);
+        this.rejectPending = null;
+        resolve(value);
+      });
+    });
+  }
+
+  fail(error) {
+    if (this.failure) return;
+    this.failure = error;
+    if (this.rejectPending) {
+      this.rejectPending(error);
+      this.rejectPending = null;
+    }
+  }
+
+  close() {
+    this.client.removeAllListeners();
+    this.client.disconnect();
+  }
+}
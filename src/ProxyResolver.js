@@ -0,0 +1,180 @@
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
+
+const PROXY_SCHEMES = ['http:', 'https:', 'socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+
+// https-proxy-agent only uses its constructor options for the connection to
+// the proxy, so hand the target's TLS settings to every tunnelled connection
+class TunnelAgent extends HttpsProxyAgent {
+  constructor(proxy, tlsOptions) {
+    super(proxy, tlsOptions);
+    this.targetTls = tlsOptions;
+  }
+
+  connect(request, options) {
+    return super.connect(request, { ...options, ...this.targetTls });
+  }
+}
+
+/**
+ * Picks the proxy, if any, for each outgoing request. A proxy set with --proxy
+ * or the `proxy` config key beats the usual HTTPS_PROXY / HTTP_PROXY /
+ * ALL_PROXY variables, and "direct" turns proxying off. Hosts listed in
+ * NO_PROXY or the `noProxy` config key are always reached directly.
+ */
+export class ProxyResolver {
+  constructor(options = {}) {
+    this.proxy = options.proxy || null;
+    this.proxySource = options.proxySource || '--proxy';
+    this.noProxy = options.noProxy || null;
+    this.env = options.env || process.env;
+
+    // Fail early on a typo in an explicit proxy; environment ones are checked when used
+    if (this.proxy && !ProxyResolver.isDirect(this.proxy)) {
+      ProxyResolver.parseProxyUrl(this.proxy, this.proxySource);
+    }
+  }
+
+  static isDirect(value) {
+    return String(value).trim().toLowerCase() === 'direct';
+  }
+
+  /**
+   * "proxy:3128" is taken to mean an HTTP proxy, as curl does
+   */
+  static parseProxyUrl(value, source) {
+    const raw = String(value).trim();
+    let url;
+    try {
+      url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `http://${raw}`);
+    } catch (error) {
+      throw new Error(`Invalid proxy URL in ${source}: ${raw}`);
+    }
+    if (!PROXY_SCHEMES.includes(url.protocol)) {
+      throw new Error(`Unsupported proxy scheme "${url.protocol}" in ${source}: use http, https, socks4 or socks5`);
+    }
+    return url;
+  }
+
+  /**
+   * The proxy URL with its password masked, for messages
+   */
+  static redact(url) {
+    const copy = new URL(url.href);
+    if (copy.password) copy.password = '****';
+    return copy.href.replace(/\/$/, '');
+  }
+
+  getEnv(name) {
+    return this.env[name.toLowerCase()] || this.env[name] || null;
+  }
+
+  /**
+   * NO_PROXY style entries: "*", "example.com" (and its subdomains),
+   * ".example.com", "10.0.0.5" or "host:port"
+   */
+  getNoProxyEntries() {
+    const entries = [];
+    for (const [value, source] of [[this.noProxy, 'noProxy'], [this.getEnv('NO_PROXY'), 'NO_PROXY']]) {
+      if (!value) continue;
+      for (const pattern of String(value).split(/[,\s]+/).filter(Boolean)) {
+        entries.push({ pattern, source });
+      }
+    }
+    return entries;
+  }
+
+  static matchesNoProxy(pattern, hostname, port) {
+    if (pattern === '*') return true;
+
+    let host = pattern.toLowerCase();
+    let entryPort = null;
+    const portMatch = host.match(/^(\[.*\]|[^:]*):(\d+)$/);
+    if (portMatch) {
+      host = portMatch[1];
+      entryPort = portMatch[2];
+    }
+    host = host.replace(/^\*?\./, '').replace(/^\[(.*)\]$/, '$1');
+    if (entryPort && entryPort !== port) return false;
+
+    const target = hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+    return target === host || target.endsWith(`.${host}`);
+  }
+
+  findNoProxyMatch(url) {
+    const port = url.port || (url.protocol === 'https:' || url.protocol === 'wss:' ? '443' : '80');
+    return this.getNoProxyEntries().find(({ pattern }) => ProxyResolver.matchesNoProxy(pattern, url.hostname, port)) || null;
+  }
+
+  /**
+   * How a request to targetUrl is routed: { proxy, source, bypass }. proxy is
+   * a URL or null; bypass is the NO_PROXY entry that skipped the proxy.
+   */
+  resolve(targetUrl) {
+    const url = new URL(targetUrl);
+    const secure = url.protocol === 'https:' || url.protocol === 'wss:';
+
+    let raw = null;
+    let source = null;
+    if (this.proxy) {
+      raw = this.proxy;
+      source = this.proxySource;
+    } else {
+      for (const name of secure ? ['HTTPS_PROXY', 'ALL_PROXY'] : ['HTTP_PROXY', 'ALL_PROXY']) {
+        if (this.getEnv(name)) {
+          raw = this.getEnv(name);
+          source = name;
+          break;
+        }
+      }
+    }
+
+    if (!raw || ProxyResolver.isDirect(raw)) {
+      return { proxy: null, source, bypass: null };
+    }
+    const bypass = this.findNoProxyMatch(url);
+    if (bypass) {
+      return { proxy: null, source, bypass };
+    }
+    return { proxy: ProxyResolver.parseProxyUrl(raw, source), source, bypass: null };
+  }
+
+  /**
+   * Agent that sends a request to targetUrl through its proxy, or undefined
+   * when it goes direct. Plain HTTP is forwarded by an HTTP proxy; TLS and
+   * WebSocket traffic goes through a CONNECT tunnel. TLS options apply to the
+   * target server (and to the proxy itself when it speaks https).
+   */
+  getAgent(targetUrl, tlsOptions = {}) {
+    const { proxy } = this.resolve(targetUrl);
+    if (!proxy) return undefined;
+
+    if (proxy.protocol.startsWith('socks')) {
+      return new SocksProxyAgent(proxy, tlsOptions);
+    }
+    if (new URL(targetUrl).protocol === 'http:') {
+      return new HttpProxyAgent(proxy, tlsOptions);
+    }
+    return new TunnelAgent(proxy, tlsOptions);
+  }
+
+  /**
+   * One line on how requests to targetUrl travel, for `bizchat doctor`
+   */
+  describeRoute(targetUrl) {
+    const { proxy, source, bypass } = this.resolve(targetUrl);
+    if (bypass) {
+      return `direct (${bypass.source} matches "${bypass.pattern}")`;
+    }
+    if (!proxy) {
+      return source ? `direct (proxy set to "direct" in ${source})` : 'direct';
+    }
+
+    const via = `${ProxyResolver.redact(proxy)} (${source})`;
+    if (proxy.protocol.startsWith('socks')) {
+      return `SOCKS via ${via}`;
+    }
+    return new URL(targetUrl).protocol === 'http:' ? `forwarded via ${via}` : `CONNECT tunnel via ${via}`;
+  }
+}
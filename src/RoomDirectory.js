@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { FileLock } from './FileLock.js';
+
+/**
+ * Favorite and recently joined rooms, kept per host in ~/.bizchat/rooms.json:
+ *   { "<host>": { "favorites": ["ops"], "recent": [{ "name": "ops", "lastVisited": 1714557600000 }] } }
+ */
+export class RoomDirectory {
+  constructor(hostname, options = {}) {
+    this.hostname = hostname;
+    this.file = options.file || path.join(os.homedir(), '.bizchat', 'rooms.json');
+    this.maxRecent = options.maxRecent ?? 20;
+    this.lock = new FileLock(`${this.file}.lock`);
+  }
+
+  /**
+   * Short "how long ago" label for picker entries, e.g. "5m ago"
+   */
+  static formatAge(timestamp, now = Date.now()) {
+    const seconds = Math.max(0, Math.round((now - timestamp) / 1000));
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+  }
+
+  loadAll() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  load(all = this.loadAll()) {
+    const entry = all[this.hostname] || {};
+    return {
+      favorites: Array.isArray(entry.favorites) ? entry.favorites : [],
+      recent: Array.isArray(entry.recent) ? entry.recent : []
+    };
+  }
+
+  /**
+   * Read, change and write this host's entry under the lock, so bizchat
+   * processes running side by side don't lose each other's updates.
+   * `mutate` edits the entry in place and may return false to skip the write.
+   */
+  update(mutate) {
+    try {
+      return this.lock.withLock(() => this.applyUpdate(mutate));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * update that waits for the lock without freezing the chat screen
+   */
+  async updateAsync(mutate) {
+    try {
+      return await this.lock.withLockAsync(() => this.applyUpdate(mutate));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  applyUpdate(mutate) {
+    const all = this.loadAll();
+    const entry = this.load(all);
+    if (mutate(entry) === false) return false;
+    all[this.hostname] = entry;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    FileLock.writeAtomic(this.file, JSON.stringify(all, null, 2), 0o644);
+    return true;
+  }
+
+  getFavorites() {
+    return this.load().favorites;
+  }
+
+  /**
+   * Recently joined rooms, most recent first
+   */
+  getRecent() {
+    return this.load().recent
+      .slice()
+      .sort((a, b) => b.lastVisited - a.lastVisited);
+  }
+
+  /**
+   * Called while chatting, so it never blocks on the lock
+   */
+  recordVisit(roomname) {
+    return this.updateAsync((entry) => {
+      entry.recent = [
+        { name: roomname, lastVisited: Date.now() },
+        ...entry.recent.filter(room => room.name !== roomname)
+      ].slice(0, this.maxRecent);
+    });
+  }
+
+  isFavorite(roomname) {
+    return this.getFavorites().includes(roomname);
+  }
+
+  addFavorite(roomname) {
+    return this.update((entry) => {
+      if (entry.favorites.includes(roomname)) return false;
+      entry.favorites.push(roomname);
+    });
+  }
+
+  removeFavorite(roomname) {
+    return this.update((entry) => {
+      if (!entry.favorites.includes(roomname)) return false;
+      entry.favorites = entry.favorites.filter(name => name !== roomname);
+    });
+  }
+
+  /**
+   * Every known room name: favorites first, then recent rooms
+   */
+  getRoomNames() {
+    const favorites = this.getFavorites();
+    const recent = this.getRecent()
+      .map(room => room.name)
+      .filter(name => !favorites.includes(name));
+    return [...favorites, ...recent];
+  }
+}
@@ -1,18 +1,35 @@
 import fetch from 'node-fetch';
 
 export class RoomManager {
-  constructor(hostname, protocol) {
-    this.hostname = hostname;
-    this.protocol = protocol;
+  constructor(endpoint) {
+    this.endpoint = endpoint; // ServerEndpoint
   }
 
-  async createRoom(roomName) {
-    const requestBody = { name: roomName };
+  /**
+   * Returns an error message, or null if the room name is usable. Private room
+   * IDs are 64 hex characters, so they are exempt from the length limit.
+   */
+  static validateRoomName(roomname) {
+    if (/^[0-9a-f]{64}$/i.test(roomname)) return null;
+    if (roomname.length > 32) return 'Room name must be 32 characters or less';
+    return null;
+  }
+
+  /**
+   * Create a room and return its ID. Private rooms get an unguessable ID;
+   * a password is only enforced by servers that support protected rooms.
+   */
+  async createRoom(roomName, options = {}) {
+    const requestBody = {};
+    if (roomName) requestBody.name = roomName;
+    if (options.private) requestBody.private = true;
+    if (options.password) requestBody.password = options.password;
 
-    const apiUrl = `${this.protocol}//${this.hostname}/api/room`;
+    const apiUrl = this.endpoint.getHttpUrl('/api/room');
     
     const response = await fetch(apiUrl, {
       method: 'POST',
+      agent: this.endpoint.getAgent(),
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(requestBody)
     });
@@ -31,6 +48,6 @@ export class RoomManager {
       throw new Error(errorMessage);
     }
 
-    return await response.text();
+    return (await response.text()).trim();
   }
 } 
\ No newline at end of file
@@ -0,0 +1,110 @@
+import { EventEmitter } from 'events';
+import { WebSocketClient } from './WebSocketClient.js';
+
+/**
+ * Streams a room's traffic as normalized event objects, without the terminal UI.
+ * Emits 'event' for every event that passes the filters.
+ */
+export class RoomTail extends EventEmitter {
+  constructor(endpoint, options = {}) {
+    super();
+    this.roomname = options.roomname;
+    this.username = options.username;
+    this.from = options.from ? options.from.map(name => name.toLowerCase()) : null;
+    this.match = options.match || null; // RegExp tested against message text
+    this.includeBacklog = options.includeBacklog !== false;
+    this.readOnly = !!options.readOnly;
+    this.seenMessages = new Set();
+    this.announced = false;
+
+    this.client = new WebSocketClient(endpoint, {
+      // Ask the server not to announce us; servers that don't support it just ignore the field
+      handshake: this.readOnly ? { readOnly: true } : {},
+      password: options.password
+    });
+    this.bindClientEvents();
+  }
+
+  bindClientEvents() {
+    const client = this.client;
+
+    client.on('message', (data) => {
+      // A reconnect replays the backlog, so drop messages already printed
+      const key = `${data.timestamp}:${data.name}:${data.message}`;
+      if (data.timestamp && this.seenMessages.has(key)) return;
+      this.seenMessages.add(key);
+
+      this.publish({
+        event: 'message',
+        name: data.name,
+        message: data.message,
+        timestamp: this.toIsoTime(data.timestamp)
+      });
+    });
+
+    client.on('userJoined', (name) => {
+      if (name === this.username && !client.ready) {
+        this.announced = true;
+      }
+      this.publish({ event: 'joined', name, timestamp: this.toIsoTime() });
+    });
+
+    client.on('userLeft', (name) => {
+      this.publish({ event: 'quit', name, timestamp: this.toIsoTime() });
+    });
+
+    client.on('ready', () => {
+      if (this.readOnly && this.announced) {
+        this.emit('warning', `Server does not support read-only joins; your presence was announced as "${this.username}"`);
+      }
+      this.announced = false;
+      this.publish({ event: 'ready', timestamp: this.toIsoTime() });
+    });
+
+    client.on('error', (error) => {
+      this.publish({ event: 'error', error: String(error), timestamp: this.toIsoTime() });
+    });
+
+    client.on('disconnected', (reason) => this.emit('disconnected', reason));
+    client.on('gaveUp', (attempts) => this.emit('gaveUp', attempts));
+    client.on('authFailed', (error) => this.emit('authFailed', error));
+    client.on('debug', (info) => this.emit('debug', info));
+  }
+
+  toIsoTime(timestamp) {
+    const date = timestamp ? new Date(timestamp) : new Date();
+    return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+  }
+
+  matches(event) {
+    if (this.from && !(event.name && this.from.includes(event.name.toLowerCase()))) {
+      return false;
+    }
+    if (this.match && !(event.event === 'message' && this.match.test(event.message))) {
+      return false;
+    }
+    return true;
+  }
+
+  publish(event) {
+    // Everything before 'ready' is the roster and backlog the server replays on join
+    const normalized = { event: event.event, room: this.roomname, ...event };
+    if (['message', 'joined', 'quit'].includes(event.event) && !this.client.ready) {
+      if (!this.includeBacklog) return;
+      normalized.replay = true;
+    }
+
+    if (this.matches(normalized)) {
+      this.emit('event', normalized);
+    }
+  }
+
+  start() {
+    return this.client.connect(this.roomname, this.username);
+  }
+
+  stop() {
+    this.client.removeAllListeners();
+    this.client.disconnect();
+  }
+}
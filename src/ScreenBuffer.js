@@ -0,0 +1,191 @@
+import { TextLayout } from './TextLayout.js';
+
+// SGR codes that switch an attribute on, and the codes that switch it off
+const ATTRIBUTES = { 1: 'bold', 2: 'dim', 3: 'italic', 4: 'underline', 7: 'inverse', 9: 'strike' };
+const ATTRIBUTE_RESETS = { 22: ['bold', 'dim'], 23: ['italic'], 24: ['underline'], 27: ['inverse'], 29: ['strike'] };
+const ATTRIBUTE_CODES = { bold: 1, dim: 2, italic: 3, underline: 4, inverse: 7, strike: 9 };
+
+/**
+ * An off-screen copy of the terminal. Each frame is written into it with
+ * chalk-styled text, and flush() returns only what changed since the last
+ * flush as escape sequences. Coordinates are 1-based, like term.moveTo.
+ * OSC 8 hyperlinks are kept per cell and sent on if `hyperlinks` is set.
+ */
+export class ScreenBuffer {
+  constructor(width, height, { hyperlinks = false } = {}) {
+    this.width = width;
+    this.height = height;
+    this.hyperlinks = hyperlinks;
+    this.chars = [];
+    this.styles = [];
+    this.links = [];
+    this.previous = null; // { chars, styles, links } as last sent; null redraws everything
+    this.clear();
+  }
+
+  clear() {
+    const size = this.width * this.height;
+    this.chars = new Array(size).fill(' ');
+    this.styles = new Array(size).fill('');
+    this.links = new Array(size).fill('');
+  }
+
+  /**
+   * Whether the next flush draws every cell
+   */
+  isFresh() {
+    return this.previous === null;
+  }
+
+  /**
+   * Put text at (x, y). Text running past maxWidth columns or the right edge
+   * is cut off. Each cell holds one grapheme; a wide one takes two cells,
+   * the second holding ''.
+   */
+  write(x, y, text, maxWidth = Infinity) {
+    if (y < 1 || y > this.height) return;
+    const row = (y - 1) * this.width;
+    const limit = Math.min(this.width, x - 1 + maxWidth);
+    const style = {};
+    let key = '';
+    let link = '';
+    let column = x - 1;
+
+    for (const piece of TextLayout.split(text)) {
+      if (piece.escape) {
+        // Only styles and hyperlinks are kept; cursor movement and the like are dropped
+        if (piece.link !== undefined) link = piece.link;
+        if (piece.sgr !== undefined) {
+          ScreenBuffer.applySgr(style, piece.sgr);
+          key = ScreenBuffer.styleKey(style);
+        }
+        continue;
+      }
+      if (piece.width === 0) continue;
+      if (column + piece.width > limit) return;
+
+      if (column >= 0) {
+        this.breakWideChars(row, column, piece.width);
+        this.chars[row + column] = piece.grapheme;
+        this.styles[row + column] = key;
+        this.links[row + column] = link;
+        if (piece.width === 2) {
+          this.chars[row + column + 1] = '';
+          this.styles[row + column + 1] = key;
+          this.links[row + column + 1] = link;
+        }
+      }
+      column += piece.width;
+    }
+  }
+
+  /**
+   * Blank the other half of any wide character that cells column to
+   * column + width - 1 of a row are about to cut through
+   */
+  breakWideChars(row, column, width) {
+    if (this.chars[row + column] === '' && column > 0) {
+      this.chars[row + column - 1] = ' ';
+    }
+    const after = column + width;
+    if (after < this.width && this.chars[row + after] === '') {
+      this.chars[row + after] = ' ';
+    }
+  }
+
+  static applySgr(style, params) {
+    const codes = params === '' ? [0] : params.split(';').map(Number);
+    for (let i = 0; i < codes.length; i++) {
+      const code = codes[i];
+      if (code === 0) {
+        for (const key of Object.keys(style)) delete style[key];
+      } else if (ATTRIBUTES[code]) {
+        style[ATTRIBUTES[code]] = true;
+      } else if (ATTRIBUTE_RESETS[code]) {
+        for (const name of ATTRIBUTE_RESETS[code]) delete style[name];
+      } else if ((code >= 30 && code <= 37) || (code >= 90 && code <= 97)) {
+        style.fg = String(code);
+      } else if ((code >= 40 && code <= 47) || (code >= 100 && code <= 107)) {
+        style.bg = String(code);
+      } else if (code === 39) {
+        delete style.fg;
+      } else if (code === 49) {
+        delete style.bg;
+      } else if (code === 38 || code === 48) {
+        // 256-color (5;n) and truecolor (2;r;g;b) take their values along
+        const length = codes[i + 1] === 5 ? 2 : 4;
+        style[code === 38 ? 'fg' : 'bg'] = codes.slice(i, i + 1 + length).join(';');
+        i += length;
+      }
+    }
+  }
+
+  static styleKey(style) {
+    const parts = Object.keys(ATTRIBUTE_CODES).filter(name => style[name]).map(name => ATTRIBUTE_CODES[name]);
+    if (style.fg) parts.push(style.fg);
+    if (style.bg) parts.push(style.bg);
+    return parts.join(';');
+  }
+
+  /**
+   * Escape sequences that bring the terminal from the last flushed frame to
+   * this one, or '' if nothing changed
+   */
+  flush() {
+    let output = '';
+    let cursor = -1; // Where the terminal's cursor is, as a cell index; -1 if unknown
+    let currentStyle = null;
+    let currentLink = '';
+
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        const index = y * this.width + x;
+        const wide = x + 1 < this.width && this.chars[index + 1] === '';
+        const span = wide ? 2 : 1;
+        if (this.chars[index] === '') continue; // Drawn with the character before it
+
+        if (this.previous && !this.differs(index, span)) {
+          x += span - 1;
+          continue;
+        }
+
+        if (cursor !== index) {
+          output += `\u001b[${y + 1};${x + 1}H`;
+        }
+        if (this.styles[index] !== currentStyle) {
+          currentStyle = this.styles[index];
+          output += currentStyle ? `\u001b[0;${currentStyle}m` : '\u001b[0m';
+        }
+        if (this.hyperlinks && this.links[index] !== currentLink) {
+          currentLink = this.links[index];
+          output += `\u001b]8;;${currentLink}\u001b\\`;
+        }
+        if (span === 2 && this.chars[index].length > 1) {
+          // Some terminals draw emoji such as ⚠️ one cell wide; blank both
+          // cells first so nothing old is left showing in the second
+          output += `  \u001b[${y + 1};${x + 1}H`;
+        }
+        output += this.chars[index];
+
+        // Terminals disagree on the width of some characters, so don't assume
+        // where the cursor ended up after anything but plain ASCII
+        cursor = this.chars[index].length === 1 && this.chars[index] < '\u007f' ? index + span : -1;
+        x += span - 1;
+      }
+      cursor = -1;
+    }
+
+    if (currentLink) output += '\u001b]8;;\u001b\\';
+    if (output) output += '\u001b[0m';
+    this.previous = { chars: [...this.chars], styles: [...this.styles], links: [...this.links] };
+    return output;
+  }
+
+  differs(index, span) {
+    for (let i = index; i < index + span; i++) {
+      if (this.chars[i] !== this.previous.chars[i] || this.styles[i] !== this.previous.styles[i]) return true;
+      if (this.links[i] !== this.previous.links[i]) return true;
+    }
+    return false;
+  }
+}
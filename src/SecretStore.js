@@ -0,0 +1,205 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+const STORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+
+/**
+ * Encrypted room passwords in ~/.bizchat/secrets.json. The whole set of
+ * secrets is one AES-256-GCM blob, so not even room names are readable
+ * without the key. The key is BIZCHAT_SECRETS_KEY (32 bytes, hex or base64),
+ * or is derived with scrypt from BIZCHAT_SECRETS_PASSPHRASE or a passphrase
+ * typed in when asked.
+ */
+export class SecretStore {
+  constructor(options = {}) {
+    this.file = options.file || path.join(os.homedir(), '.bizchat', 'secrets.json');
+    this.env = options.env || process.env;
+    this.key = null;
+    this.salt = null;
+    this.kdf = SCRYPT_PARAMS;
+    this.secrets = null; // { "<host>/<room>": { value, updatedAt } } once unlocked
+  }
+
+  static getEntryKey(host, room) {
+    return `${host}/${room}`;
+  }
+
+  exists() {
+    return fs.existsSync(this.file);
+  }
+
+  isUnlocked() {
+    return this.secrets !== null;
+  }
+
+  /**
+   * Whether the environment can unlock the store without asking
+   */
+  hasEnvCredentials() {
+    return !!(this.env.BIZCHAT_SECRETS_KEY || this.env.BIZCHAT_SECRETS_PASSPHRASE);
+  }
+
+  getEnvKey() {
+    const raw = this.env.BIZCHAT_SECRETS_KEY;
+    if (!raw) return null;
+
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    if (key.length !== 32) {
+      throw new Error('BIZCHAT_SECRETS_KEY must be 32 bytes, as 64 hex characters or base64');
+    }
+    return key;
+  }
+
+  deriveKey(passphrase, salt, params = SCRYPT_PARAMS) {
+    const { N, r, p } = params;
+    return crypto.scryptSync(passphrase, salt, 32, { N, r, p, maxmem: 64 * 1024 * 1024 });
+  }
+
+  readFile() {
+    const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    if (stored.version !== STORE_VERSION) {
+      throw new Error(`Unsupported secrets file version: ${stored.version}`);
+    }
+    return stored;
+  }
+
+  /**
+   * Decrypt the store (or start a new one) with the environment's key or the
+   * given passphrase. Throws if the key is wrong.
+   */
+  unlock(passphrase = null) {
+    const stored = this.exists() ? this.readFile() : null;
+    const salt = stored ? Buffer.from(stored.salt, 'base64') : crypto.randomBytes(16);
+
+    const envKey = this.getEnvKey();
+    const secret = envKey ? null : passphrase || this.env.BIZCHAT_SECRETS_PASSPHRASE;
+    if (!envKey && !secret) {
+      throw new Error('A passphrase is needed to unlock the secrets store');
+    }
+    const key = envKey || this.deriveKey(secret, salt, stored ? stored.kdf : undefined);
+
+    let secrets = {};
+    if (stored) {
+      try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+        secrets = JSON.parse(data.toString('utf8'));
+      } catch (error) {
+        throw new Error('Could not decrypt the secrets store: wrong passphrase or key');
+      }
+    }
+
+    this.key = key;
+    this.salt = salt;
+    this.kdf = stored ? stored.kdf : SCRYPT_PARAMS;
+    this.secrets = secrets;
+    return true;
+  }
+
+  /**
+   * Unlock with the environment's credentials, or ask for the passphrase using
+   * an inquirer-style prompt function. A new store asks twice to catch typos.
+   */
+  async unlockWith(prompt) {
+    if (this.hasEnvCredentials()) {
+      return this.unlock();
+    }
+
+    const creating = !this.exists();
+    let retryReason = '';
+    for (let attempt = 1; ; attempt++) {
+      const { passphrase } = await prompt([
+        {
+          type: 'password',
+          name: 'passphrase',
+          message: retryReason + (creating ? 'Choose a passphrase for the secrets store:' : 'Secrets store passphrase:'),
+          mask: '*',
+          validate: (input) => input.length > 0 || 'Passphrase cannot be empty'
+        }
+      ]);
+
+      if (creating) {
+        const { confirmation } = await prompt([
+          { type: 'password', name: 'confirmation', message: 'Repeat the passphrase:', mask: '*' }
+        ]);
+        if (confirmation !== passphrase) {
+          if (attempt >= 3) throw new Error('Passphrases did not match');
+          retryReason = 'Passphrases did not match. ';
+          continue;
+        }
+      }
+
+      try {
+        return this.unlock(passphrase);
+      } catch (error) {
+        if (attempt >= 3) throw error;
+        retryReason = 'Wrong passphrase. ';
+      }
+    }
+  }
+
+  assertUnlocked() {
+    if (!this.isUnlocked()) {
+      throw new Error('The secrets store is locked');
+    }
+  }
+
+  get(host, room) {
+    this.assertUnlocked();
+    const entry = this.secrets[SecretStore.getEntryKey(host, room)];
+    return entry ? entry.value : null;
+  }
+
+  set(host, room, value) {
+    this.assertUnlocked();
+    this.secrets[SecretStore.getEntryKey(host, room)] = { host, room, value, updatedAt: new Date().toISOString() };
+    this.save();
+  }
+
+  remove(host, room) {
+    this.assertUnlocked();
+    const key = SecretStore.getEntryKey(host, room);
+    if (!this.secrets[key]) return false;
+    delete this.secrets[key];
+    this.save();
+    return true;
+  }
+
+  /**
+   * Where secrets are stored, without their values
+   */
+  list() {
+    this.assertUnlocked();
+    return Object.values(this.secrets)
+      .map(({ host, room, updatedAt }) => ({ host, room, updatedAt }))
+      .sort((a, b) => `${a.host}/${a.room}`.localeCompare(`${b.host}/${b.room}`));
+  }
+
+  /**
+   * Encrypt with a fresh IV and replace the file atomically, readable by the owner only
+   */
+  save() {
+    this.assertUnlocked();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(this.secrets), 'utf8'), cipher.final()]);
+
+    const stored = {
+      version: STORE_VERSION,
+      kdf: { name: 'scrypt', N: this.kdf.N, r: this.kdf.r, p: this.kdf.p },
+      salt: this.salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(stored, null, 2), { mode: 0o600 });
+    fs.renameSync(tempFile, this.file);
+  }
+}
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import https from 'https';
+
+const SECURE_SCHEMES = { 'https:': true, 'wss:': true, 'http:': false, 'ws:': false };
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * The chat server a command talks to, parsed once from --host. Accepts a bare
+ * hostname, host:port, or a full URL with http(s)/ws(s) scheme and base path;
+ * REST and WebSocket URLs are both built from it so they always agree.
+ */
+export class ServerEndpoint {
+  constructor({ secure, host, basePath = '', caFile = null, insecure = false, proxy = null }) {
+    this.secure = secure;
+    this.host = host; // hostname[:port]
+    this.basePath = basePath;
+    this.caFile = caFile;
+    this.insecure = insecure;
+    this.proxy = proxy; // ProxyResolver, or null to always connect directly
+    this.agents = new Map(); // Cached per kind of traffic: 'http' or 'ws'
+
+    // Read up front so a bad path fails before anything connects
+    this.ca = caFile ? ServerEndpoint.readCaFile(caFile) : null;
+  }
+
+  /**
+   * Without a scheme the server is assumed to use TLS, except on loopback
+   * addresses where `wrangler dev` serves plain HTTP.
+   */
+  static parse(input, options = {}) {
+    const raw = String(input || '').trim();
+    if (!raw) {
+      throw new Error('Server host cannot be empty');
+    }
+
+    const schemeMatch = raw.match(/^([a-z][a-z0-9+.-]*):\/\//i);
+    if (schemeMatch && !((schemeMatch[1].toLowerCase() + ':') in SECURE_SCHEMES)) {
+      throw new Error(`Unsupported scheme "${schemeMatch[1]}" in host: use http, https, ws or wss`);
+    }
+
+    let url;
+    try {
+      url = new URL(schemeMatch ? raw : `https://${raw}`);
+    } catch (error) {
+      throw new Error(`Invalid server host: ${raw}`);
+    }
+    if (url.search || url.hash || url.username || url.password) {
+      throw new Error(`Server host can't contain credentials, a query or a fragment: ${raw}`);
+    }
+
+    const secure = schemeMatch ? SECURE_SCHEMES[url.protocol] : !LOOPBACK_HOSTS.includes(url.hostname);
+    return new ServerEndpoint({
+      secure,
+      host: url.host,
+      basePath: url.pathname.replace(/\/+$/, ''),
+      caFile: options.caFile || null,
+      insecure: !!options.insecure,
+      proxy: options.proxy || null
+    });
+  }
+
+  static readCaFile(caFile) {
+    try {
+      return fs.readFileSync(caFile);
+    } catch (error) {
+      throw new Error(`Could not read CA file ${caFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Host and base path without the scheme. History, favorites and saved
+   * passwords are filed under this, as they were before URLs were accepted.
+   */
+  get key() {
+    return this.host + this.basePath;
+  }
+
+  getHttpUrl(pathname) {
+    return `${this.secure ? 'https:' : 'http:'}//${this.host}${this.basePath}${pathname}`;
+  }
+
+  getWebSocketUrl(pathname) {
+    return `${this.secure ? 'wss:' : 'ws:'}//${this.host}${this.basePath}${pathname}`;
+  }
+
+  /**
+   * TLS settings for ws and https.Agent: an extra trusted CA, or no
+   * certificate checks at all with --insecure
+   */
+  getTlsOptions() {
+    const tls = {};
+    if (this.ca) tls.ca = this.ca;
+    if (this.insecure) tls.rejectUnauthorized = false;
+    return tls;
+  }
+
+  /**
+   * Agent for fetch requests to this server, or undefined to use Node's default
+   */
+  getAgent() {
+    if (!this.agents.has('http')) {
+      let agent = this.proxy ? this.proxy.getAgent(this.getHttpUrl('/'), this.getTlsOptions()) : undefined;
+      if (!agent && this.secure && (this.ca || this.insecure)) {
+        agent = new https.Agent(this.getTlsOptions());
+      }
+      this.agents.set('http', agent);
+    }
+    return this.agents.get('http');
+  }
+
+  /**
+   * Options for the ws constructor: TLS settings, plus the proxy agent when
+   * the connection has to go through one
+   */
+  getWebSocketOptions() {
+    const options = this.getTlsOptions();
+    if (!this.agents.has('ws')) {
+      this.agents.set('ws', this.proxy ? this.proxy.getAgent(this.getWebSocketUrl('/'), options) : undefined);
+    }
+    const agent = this.agents.get('ws');
+    if (agent) options.agent = agent;
+    return options;
+  }
+
+  toString() {
+    return this.getHttpUrl('');
+  }
+}
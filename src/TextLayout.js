@@ -0,0 +1,229 @@
+// Characters that take two terminal cells: CJK, Hangul, fullwidth forms and emoji
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x231a, 0x231b], [0x2329, 0x232a], [0x23e9, 0x23ec], [0x23f0, 0x23f0],
+  [0x23f3, 0x23f3], [0x25fd, 0x25fe], [0x2614, 0x2615], [0x2648, 0x2653], [0x267f, 0x267f],
+  [0x2693, 0x2693], [0x26a1, 0x26a1], [0x26aa, 0x26ab], [0x26bd, 0x26be], [0x26c4, 0x26c5],
+  [0x26ce, 0x26ce], [0x26d4, 0x26d4], [0x26ea, 0x26ea], [0x26f2, 0x26f3], [0x26f5, 0x26f5],
+  [0x26fa, 0x26fa], [0x26fd, 0x26fd], [0x2705, 0x2705], [0x270a, 0x270b], [0x2728, 0x2728],
+  [0x274c, 0x274c], [0x274e, 0x274e], [0x2753, 0x2755], [0x2757, 0x2757], [0x2795, 0x2797],
+  [0x27b0, 0x27b0], [0x27bf, 0x27bf], [0x2b1b, 0x2b1c], [0x2b50, 0x2b50], [0x2b55, 0x2b55],
+  [0x2e80, 0x303e], [0x3041, 0x33ff], [0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xa000, 0xa4cf],
+  [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe30, 0xfe4f], [0xff00, 0xff60], [0xffe0, 0xffe6],
+  [0x1f004, 0x1f004], [0x1f0cf, 0x1f0cf], [0x1f18e, 0x1f18e], [0x1f191, 0x1f19a],
+  [0x1f1e6, 0x1f1ff], [0x1f200, 0x1f251], [0x1f300, 0x1f64f], [0x1f680, 0x1f6ff],
+  [0x1f7e0, 0x1f7eb], [0x1f900, 0x1f9ff], [0x1fa70, 0x1faff], [0x20000, 0x3fffd]
+];
+
+// Graphemes made only of combining marks, zero-width characters and variation selectors
+const ZERO_WIDTH = /^[\u0300-\u036f\u1ab0-\u1aff\u1dc0-\u1dff\u200b-\u200f\u2060-\u2064\u20d0-\u20ff\ufe00-\ufe0f\ufe20-\ufe2f\ufeff]+$/u;
+
+// Asks for a character to be drawn as a (wide) emoji, as in ⚠️
+const EMOJI_PRESENTATION = '\ufe0f';
+
+// SGR sequences and OSC 8 hyperlinks (with their parameters and URL captured)
+// and any other escape sequence
+const ESCAPE_PATTERN = /\u001b\[([0-9;]*)m|\u001b\]8;[^;\u0007\u001b]*;([^\u0007\u001b]*)(?:\u0007|\u001b\\)|\u001b\][^\u0007\u001b]*(?:\u0007|\u001b\\)|\u001b\[[0-9;?]*[A-Za-z]|\u001b./g;
+
+const LINK_END = '\u001b]8;;\u001b\\';
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * Measures, truncates and wraps text by the terminal cells it takes. Text is
+ * taken apart into grapheme clusters, so an emoji with its modifiers or a
+ * letter with its accents is never split, and ANSI escapes take no room.
+ */
+export class TextLayout {
+  static isControl(char) {
+    const code = char.codePointAt(0);
+    return code < 0x20 || (code >= 0x7f && code < 0xa0);
+  }
+
+  static graphemeWidth(grapheme) {
+    const code = grapheme.codePointAt(0);
+    if (TextLayout.isControl(grapheme) || ZERO_WIDTH.test(grapheme)) return 0;
+    if (grapheme.includes(EMOJI_PRESENTATION)) return 2;
+    if (code < 0x1100) return 1;
+    return WIDE_RANGES.some(([from, to]) => code >= from && code <= to) ? 2 : 1;
+  }
+
+  /**
+   * Take text apart into { escape, sgr, link } for each escape sequence (sgr
+   * holds the parameters of a style change, link the URL a hyperlink starts,
+   * or '' where one ends) and { grapheme, width } for the rest
+   */
+  static split(text) {
+    const pieces = [];
+    const addGraphemes = (chunk) => {
+      for (const { segment } of segmenter.segment(chunk)) {
+        pieces.push({ grapheme: segment, width: TextLayout.graphemeWidth(segment) });
+      }
+    };
+
+    let last = 0;
+    for (const match of text.matchAll(ESCAPE_PATTERN)) {
+      addGraphemes(text.slice(last, match.index));
+      pieces.push({ escape: match[0], sgr: match[1], link: match[2] });
+      last = match.index + match[0].length;
+    }
+    addGraphemes(text.slice(last));
+    return pieces;
+  }
+
+  static width(text) {
+    return TextLayout.split(text).reduce((sum, piece) => sum + (piece.width || 0), 0);
+  }
+
+  /**
+   * Cut text down to maxWidth cells, ending in an ellipsis if anything was
+   * cut. Escapes are kept, so styles opened in the text are still closed.
+   */
+  static truncate(text, maxWidth, ellipsis = '…') {
+    if (TextLayout.width(text) <= maxWidth) return text;
+    if (TextLayout.width(ellipsis) > maxWidth) ellipsis = '';
+
+    const room = maxWidth - TextLayout.width(ellipsis);
+    let result = '';
+    let used = 0;
+    let cut = false;
+    for (const piece of TextLayout.split(text)) {
+      if (piece.escape) {
+        result += piece.escape;
+      } else if (!cut && used + piece.width <= room) {
+        result += piece.grapheme;
+        used += piece.width;
+      } else if (!cut) {
+        result += ellipsis;
+        cut = true;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Break styled text into lines of at most `width` cells, at spaces where it
+   * can and at every newline. Words wider than a line are broken between
+   * graphemes. The first line starts with `first`, the others with `indent`,
+   * followed by the styles and hyperlink in force where the line begins, so
+   * each line can be drawn alone.
+   */
+  static wrap(text, width, { first = '', indent = '' } = {}) {
+    const indentWidth = TextLayout.width(indent);
+    const lines = [];
+    let line = first;
+    let lineWidth = TextLayout.width(first);
+    let fresh = true; // Nothing but `first` or `indent` on the line yet
+    let styles = ''; // SGR sequences in force, replayed at each new line
+    let link = ''; // The hyperlink open, closed at the end of a line and reopened on the next
+
+    const newLine = () => {
+      lines.push(link ? line + LINK_END : line);
+      line = indent + styles + link;
+      lineWidth = indentWidth;
+      fresh = true;
+    };
+    const addEscape = (piece) => {
+      line += piece.escape;
+      if (piece.link !== undefined) link = piece.link ? piece.escape : '';
+      if (piece.sgr === undefined) return;
+      styles = piece.sgr === '' || piece.sgr === '0' ? '' : styles + piece.escape;
+    };
+
+    // Words are whatever lies between spaces, escapes included
+    const words = [{ pieces: [], width: 0 }];
+    for (const piece of TextLayout.split(text)) {
+      if (piece.grapheme === ' ') {
+        words.push({ pieces: [], width: 0 });
+      } else if (piece.grapheme === '\n') {
+        words.push({ newline: true }, { pieces: [], width: 0 });
+      } else {
+        const word = words[words.length - 1];
+        word.pieces.push(piece);
+        word.width += piece.width || 0;
+      }
+    }
+
+    for (const word of words) {
+      if (word.newline) {
+        newLine();
+        continue;
+      }
+      if (word.width === 0) {
+        // An empty word between two spaces, or only escapes: never worth a new line
+        if (!fresh && lineWidth < width) {
+          line += ' ';
+          lineWidth++;
+        }
+        word.pieces.forEach(piece => (piece.escape ? addEscape(piece) : (line += piece.grapheme)));
+        continue;
+      }
+
+      if (fresh || lineWidth + 1 + word.width <= width) {
+        if (!fresh) {
+          line += ' ';
+          lineWidth++;
+        }
+      } else if (word.width <= width - indentWidth) {
+        newLine();
+      } else if (lineWidth + 1 < width) {
+        // Too wide for any line: start it here and break it where it overflows
+        line += ' ';
+        lineWidth++;
+      } else {
+        newLine();
+      }
+
+      for (const piece of word.pieces) {
+        if (piece.escape) {
+          addEscape(piece);
+          continue;
+        }
+        if (lineWidth + piece.width > width && !fresh) newLine();
+        line += piece.grapheme;
+        lineWidth += piece.width;
+        fresh = false;
+      }
+    }
+
+    lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Lay out styled tokens that should stay whole, such as code, breaking
+   * lines only between them. Whitespace at a break is dropped, and a token
+   * wider than a whole line is broken with wrap().
+   */
+  static flow(tokens, width, { first = '', indent = '' } = {}) {
+    const indentWidth = TextLayout.width(indent);
+    const lines = [];
+    let line = first;
+    let lineWidth = TextLayout.width(first);
+    let fresh = true;
+
+    for (const token of tokens) {
+      const tokenWidth = TextLayout.width(token);
+      if (lineWidth + tokenWidth > width && !fresh) {
+        lines.push(line);
+        line = indent;
+        lineWidth = indentWidth;
+        fresh = true;
+        if (!token.trim()) continue;
+      }
+
+      if (lineWidth + tokenWidth > width) {
+        const parts = TextLayout.wrap(token, width, { first: line, indent });
+        lines.push(...parts.slice(0, -1));
+        line = parts[parts.length - 1];
+        lineWidth = TextLayout.width(line);
+      } else {
+        line += token;
+        lineWidth += tokenWidth;
+      }
+      fresh = false;
+    }
+
+    lines.push(line);
+    return lines;
+  }
+}
@@ -0,0 +1,87 @@
+// Longest text and name shown; anything past it is cut off with a note
+const MAX_TEXT_LENGTH = 2000;
+const MAX_NAME_LENGTH = 64;
+
+// Combining marks kept on one character; more only pile up ("Zalgo" text)
+const MAX_COMBINING_MARKS = 4;
+
+// C0 and C1 controls and DEL: escape sequences, cursor movement, bells
+const CONTROLS = /[\u0000-\u001f\u007f-\u009f]/g;
+
+// Bidi marks (LRM, RLM, ALM), embeddings, overrides and isolates, which can
+// reorder the text around them
+const BIDI_CONTROLS = /[\u061c\u200e\u200f\u202a-\u202e\u2066-\u2069]/g;
+
+const COMBINING_PILE = new RegExp(`(\\p{M}{${MAX_COMBINING_MARKS}})\\p{M}+`, 'gu');
+
+// What the raw view spells out: controls, bidi and invisible characters, and backslashes
+const REVEALED = /[\u0000-\u001f\u007f-\u009f\u061c\u200b-\u200f\u202a-\u202e\u2060-\u2069\ufeff\\]/g;
+
+/**
+ * Makes text from other people safe to draw in the terminal. Server frames
+ * are untrusted, so a message or name could otherwise carry escape sequences
+ * that move the cursor, fake system lines, retitle the window or write to
+ * the clipboard.
+ */
+export class TextSanitizer {
+  /**
+   * Controls become visible symbols, so "\x1b[2J" shows as "␛[2J" instead of
+   * clearing the screen; only line breaks are kept, as "\n". Bidi controls
+   * are dropped, piles of combining marks thinned out and anything past
+   * maxLength cut off.
+   */
+  static clean(text, maxLength = MAX_TEXT_LENGTH) {
+    return TextSanitizer.cap(String(text), maxLength)
+      .replace(/\r\n?/g, '\n')
+      .replace(CONTROLS, char => (char === '\n' ? char : TextSanitizer.picture(char)))
+      .replace(BIDI_CONTROLS, '')
+      .replace(COMBINING_PILE, '$1');
+  }
+
+  /**
+   * Names are a single line: line breaks are shown as ␊ too
+   */
+  static cleanName(name) {
+    return TextSanitizer.clean(name, MAX_NAME_LENGTH).replace(/\n/g, TextSanitizer.picture);
+  }
+
+  /**
+   * The text as it arrived, with controls and invisible characters spelled
+   * out as \x1b or \u202e escapes, for debugging
+   */
+  static reveal(text, maxLength = MAX_TEXT_LENGTH) {
+    return TextSanitizer.cap(String(text), maxLength).replace(REVEALED, (char) => {
+      if (char === '\\') return '\\\\';
+      const code = char.charCodeAt(0);
+      return code < 0x100 ? `\\x${code.toString(16).padStart(2, '0')}` : `\\u${code.toString(16).padStart(4, '0')}`;
+    });
+  }
+
+  /**
+   * A visible stand-in for a control character. C0 controls have their own
+   * symbols (␛, ␇, ␊); a C1 control is shown as the ESC sequence it stands
+   * for, e.g. CSI as ␛[. Tabs are just spaces.
+   */
+  static picture(char) {
+    const code = char.charCodeAt(0);
+    if (char === '\t') return ' ';
+    if (code < 0x20) return String.fromCharCode(0x2400 + code);
+    if (code === 0x7f) return '␡';
+    return '␛' + String.fromCharCode(code - 0x40);
+  }
+
+  static cap(text, maxLength) {
+    if (text.length <= maxLength) return text;
+
+    // Don't leave half of a surrogate pair behind
+    let end = maxLength;
+    const last = text.charCodeAt(end - 1);
+    if (last >= 0xd800 && last <= 0xdbff) end--;
+    let more = 0;
+    for (let i = end; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      if (code < 0xdc00 || code > 0xdfff) more++; // Low surrogates finish a character already counted
+    }
+    return `${text.slice(0, end)}… (${more} more character${more === 1 ? '' : 's'})`;
+  }
+}
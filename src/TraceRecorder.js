@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { performance } from 'perf_hooks';
+
+const TRACE_VERSION = 1;
+
+/**
+ * Writes a protocol trace: one JSON object per line, every raw frame sent or
+ * received plus connection lifecycle events, each stamped with `t`, the
+ * milliseconds since recording started on a monotonic clock. The first line
+ * is a `meta` record. Passwords in outgoing frames are masked.
+ *
+ *   {"t":0,"type":"meta","version":1,"started":"2024-05-01T12:00:00.000Z",...}
+ *   {"t":152.031,"type":"state","room":"ops","state":"open","attempt":0,"retryIn":null}
+ *   {"t":153.5,"type":"out","room":"ops","data":"{\"name\":\"alice\",\"protocol\":1}"}
+ *   {"t":190.77,"type":"in","room":"ops","data":"{\"ready\":true}"}
+ */
+export class TraceRecorder {
+  constructor(file, meta = {}) {
+    this.file = file;
+    this.start = performance.now();
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    // Written synchronously, so a crash still leaves everything up to it on disk
+    this.fd = fs.openSync(file, 'w', 0o600);
+    this.write({ type: 'meta', version: TRACE_VERSION, started: new Date().toISOString(), ...meta });
+  }
+
+  static getDefaultFile(now = new Date()) {
+    const stamp = now.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    return path.join(os.homedir(), '.bizchat', 'traces', `trace-${stamp}.jsonl`);
+  }
+
+  /**
+   * Mask the password in a join handshake
+   */
+  static redact(text) {
+    try {
+      const frame = JSON.parse(text);
+      if (frame && typeof frame === 'object' && 'password' in frame) {
+        return JSON.stringify({ ...frame, password: '****' });
+      }
+    } catch (error) {
+      // Not JSON; kept as it was
+    }
+    return text;
+  }
+
+  /**
+   * Load a trace for replay: { meta, records }
+   */
+  static read(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    const records = [];
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`Line ${index + 1} of ${file} is not valid JSON`);
+      }
+    });
+
+    const meta = records.shift();
+    if (!meta || meta.type !== 'meta') {
+      throw new Error(`${file} is not a BizChat trace: the first line should be a meta record`);
+    }
+    if (meta.version !== TRACE_VERSION) {
+      throw new Error(`Unsupported trace version: ${meta.version}`);
+    }
+    return { meta, records };
+  }
+
+  elapsed() {
+    return Math.round((performance.now() - this.start) * 1000) / 1000;
+  }
+
+  write(record) {
+    if (this.fd === null) return;
+    fs.writeSync(this.fd, JSON.stringify({ t: this.elapsed(), ...record }) + '\n');
+  }
+
+  /**
+   * Record a WebSocketClient's traffic and lifecycle under a room name
+   */
+  attach(client, room) {
+    client.on('frame', (direction, data) => {
+      this.write({ type: direction, room, data: direction === 'out' ? TraceRecorder.redact(data) : data });
+    });
+    client.on('stateChange', (info) => {
+      const retryIn = info.nextRetryAt ? Math.max(0, info.nextRetryAt - Date.now()) : null;
+      this.write({ type: 'state', room, state: info.state, attempt: info.attempt, retryIn });
+    });
+    client.on('connected', () => this.write({ type: 'connected', room }));
+    client.on('disconnected', (reason) => this.write({ type: 'disconnected', room, reason: reason || null }));
+    client.on('reconnecting', (attempt, delay) => {
+      this.write({ type: 'reconnecting', room, attempt, delay, maxAttempts: client.maxReconnectAttempts });
+    });
+    client.on('gaveUp', (attempts) => this.write({ type: 'gaveUp', room, attempts }));
+    client.on('latency', (latency) => this.write({ type: 'latency', room, latency }));
+    client.on('socketError', (message) => this.write({ type: 'socketError', room, message }));
+  }
+
+  close() {
+    if (this.fd === null) return;
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
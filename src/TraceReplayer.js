@@ -0,0 +1,57 @@
+/**
+ * Plays TraceRecorder records back with their recorded spacing, divided by
+ * `speed` (Infinity plays everything at once). `maxGap` caps long idle
+ * stretches, in milliseconds of trace time.
+ */
+export class TraceReplayer {
+  constructor(records, options = {}) {
+    this.records = records.filter(record => record.type !== 'meta');
+    this.speed = options.speed ?? 1;
+    this.maxGap = options.maxGap ?? Infinity;
+    this.timer = null;
+  }
+
+  /**
+   * Rooms in the order they first appear
+   */
+  getRooms() {
+    return [...new Set(this.records.map(record => record.room).filter(Boolean))];
+  }
+
+  /**
+   * Hand each record to apply() when it is due. Resolves after the last one.
+   */
+  play(apply) {
+    return new Promise((resolve) => {
+      const started = Date.now();
+      let index = 0;
+      let traceTime = 0; // Position in the trace, with long gaps shortened
+      let previousT = this.records.length > 0 ? this.records[0].t : 0;
+
+      const next = () => {
+        this.timer = null;
+        while (index < this.records.length) {
+          const record = this.records[index];
+          const dueAt = traceTime + Math.min(Math.max(0, record.t - previousT), this.maxGap);
+          const wait = dueAt / this.speed - (Date.now() - started);
+          if (wait > 0) {
+            this.timer = setTimeout(next, wait);
+            return;
+          }
+
+          traceTime = dueAt;
+          previousT = record.t;
+          index++;
+          apply(record);
+        }
+        resolve();
+      };
+      next();
+    });
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
@@ -0,0 +1,199 @@
+import { TextSanitizer } from './TextSanitizer.js';
+
+const FORMATS = {
+  md: 'md',
+  markdown: 'md',
+  html: 'html',
+  json: 'json',
+  txt: 'txt',
+  text: 'txt'
+};
+
+/**
+ * Turns history entries ({ type, name, text, timestamp }) into transcripts.
+ * Entry types: 'chat', 'joined', 'quit' and 'system'. Names and text are
+ * cleaned as on the chat screen, so a transcript is as safe to cat as the
+ * chat was to read; only JSON keeps them as they arrived.
+ */
+export class TranscriptExporter {
+  static getFormat(format) {
+    const normalized = FORMATS[String(format).toLowerCase()];
+    if (!normalized) {
+      throw new Error(`Unknown format "${format}". Use one of: md, html, json, txt`);
+    }
+    return normalized;
+  }
+
+  static getDefaultFilename(roomname, format) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const safeRoom = roomname.replace(/[^a-zA-Z0-9._-]/g, '_');
+    return `${safeRoom}-${stamp}.${TranscriptExporter.getFormat(format)}`;
+  }
+
+  /**
+   * Parse --since/--until values: an absolute date ("2024-05-01", "2024-05-01T12:00")
+   * or a duration back from now ("30m", "2h", "7d")
+   */
+  static parseTime(value, now = Date.now()) {
+    const relative = String(value).trim().match(/^(\d+)\s*(s|m|h|d|w)$/i);
+    if (relative) {
+      const units = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+      return now - Number(relative[1]) * units[relative[2].toLowerCase()];
+    }
+
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid time "${value}". Use a date like 2024-05-01T12:00 or a duration like 2h`);
+    }
+    return time;
+  }
+
+  static filterByTime(entries, since, until) {
+    return entries.filter(entry =>
+      (since === undefined || entry.timestamp >= since) &&
+      (until === undefined || entry.timestamp <= until)
+    );
+  }
+
+  constructor(meta = {}) {
+    this.room = meta.room || '';
+    this.host = meta.host || '';
+    this.since = meta.since;
+    this.until = meta.until;
+  }
+
+  export(entries, format) {
+    switch (TranscriptExporter.getFormat(format)) {
+      case 'md':
+        return this.toMarkdown(entries);
+      case 'html':
+        return this.toHtml(entries);
+      case 'json':
+        return this.toJson(entries);
+      default:
+        return this.toText(entries);
+    }
+  }
+
+  formatTime(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  describeEvent(entry) {
+    switch (entry.type) {
+      case 'joined':
+        return `${TextSanitizer.cleanName(entry.name)} joined`;
+      case 'quit':
+        return `${TextSanitizer.cleanName(entry.name)} left`;
+      default:
+        return TextSanitizer.clean(entry.text);
+    }
+  }
+
+  getTitle() {
+    return `Transcript of #${this.room}`;
+  }
+
+  getRangeText() {
+    const from = this.since !== undefined ? this.formatTime(this.since) : 'the beginning';
+    const to = this.until !== undefined ? this.formatTime(this.until) : 'now';
+    return `${from} to ${to}`;
+  }
+
+  toText(entries) {
+    const lines = entries.map(entry => {
+      const time = `[${this.formatTime(entry.timestamp)}]`;
+      return entry.type === 'chat'
+        ? `${time} ${TextSanitizer.cleanName(entry.name)}: ${TextSanitizer.clean(entry.text)}`
+        : `${time} * ${this.describeEvent(entry)}`;
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]<>|])/g, '\\$1');
+  }
+
+  toMarkdown(entries) {
+    const lines = [
+      `# ${this.escapeMarkdown(this.getTitle())}`,
+      '',
+      `- Host: ${this.escapeMarkdown(this.host)}`,
+      `- Range: ${this.getRangeText()}`,
+      `- Messages: ${entries.filter(entry => entry.type === 'chat').length}`,
+      ''
+    ];
+
+    for (const entry of entries) {
+      const time = `\`${this.formatTime(entry.timestamp)}\``;
+      if (entry.type === 'chat') {
+        lines.push(`${time} **${this.escapeMarkdown(TextSanitizer.cleanName(entry.name))}**: ${this.escapeMarkdown(TextSanitizer.clean(entry.text))}  `);
+      } else {
+        lines.push(`${time} _${this.escapeMarkdown(this.describeEvent(entry))}_  `);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  toHtml(entries) {
+    const rows = entries.map(entry => {
+      const time = `<time datetime="${new Date(entry.timestamp).toISOString()}">${this.escapeHtml(this.formatTime(entry.timestamp))}</time>`;
+      if (entry.type === 'chat') {
+        return `    <li class="chat">${time} <b>${this.escapeHtml(TextSanitizer.cleanName(entry.name))}</b>: <span>${this.escapeHtml(TextSanitizer.clean(entry.text))}</span></li>`;
+      }
+      return `    <li class="event">${time} <i>${this.escapeHtml(this.describeEvent(entry))}</i></li>`;
+    });
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '  <meta charset="utf-8">',
+      `  <title>${this.escapeHtml(this.getTitle())}</title>`,
+      '  <style>',
+      '    body { font-family: ui-monospace, monospace; margin: 2em; }',
+      '    ul { list-style: none; padding: 0; }',
+      '    li { white-space: pre-wrap; margin: 0.2em 0; }',
+      '    time { color: #888; }',
+      '    .event { color: #666; }',
+      '  </style>',
+      '</head>',
+      '<body>',
+      `  <h1>${this.escapeHtml(this.getTitle())}</h1>`,
+      `  <p>Host: ${this.escapeHtml(this.host)}<br>Range: ${this.escapeHtml(this.getRangeText())}</p>`,
+      '  <ul>',
+      ...rows,
+      '  </ul>',
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  toJson(entries) {
+    return JSON.stringify({
+      room: this.room,
+      host: this.host,
+      exportedAt: new Date().toISOString(),
+      since: this.since !== undefined ? new Date(this.since).toISOString() : null,
+      until: this.until !== undefined ? new Date(this.until).toISOString() : null,
+      entries: entries.map(entry => ({
+        ...entry,
+        time: new Date(entry.timestamp).toISOString()
+      }))
+    }, null, 2) + '\n';
+  }
+}
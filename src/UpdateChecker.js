@@ -9,12 +9,26 @@ export class UpdateChecker {
     this.packageName = 'bizchat';
     this.currentVersion = '1.0.4'; // This should match package.json
     this.checkInterval = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+    this.proxy = null;
   }
 
   /**
-   * Check for updates and return update information
+   * Route registry requests through a ProxyResolver
    */
-  async checkForUpdates() {
+  setProxy(proxy) {
+    this.proxy = proxy;
+  }
+
+  getRegistryUrl() {
+    return `https://registry.npmjs.org/${this.packageName}/latest`;
+  }
+
+  /**
+   * Check for updates and return update information. A quiet check keeps
+   * failures to itself, for when the chat screen owns the terminal; it
+   * hands a failure to save the result to onError instead.
+   */
+  async checkForUpdates({ quiet = false, onError = null } = {}) {
     try {
       // Check if we should skip this check based on last check time
       if (this.shouldSkipCheck()) {
@@ -23,11 +37,20 @@ export class UpdateChecker {
 
       const latestVersion = await this.getLatestVersion();
       
-      if (latestVersion && this.isNewerVersion(latestVersion, this.currentVersion)) {
-        // Save the last check time and available version
-        this.updateLastCheckTime();
-        this.saveAvailableUpdate(latestVersion);
-        
+      const hasUpdate = latestVersion && this.isNewerVersion(latestVersion, this.currentVersion);
+      // Save the check time and the available version, or clear it since we're up to date
+      try {
+        await this.saveCheckResult(hasUpdate ? latestVersion : null);
+      } catch (error) {
+        const message = `Could not save the update check: ${error.message}`;
+        if (onError) {
+          onError(message);
+        } else if (!quiet) {
+          console.error(chalk.gray(`⚠️  ${message}`));
+        }
+      }
+
+      if (hasUpdate) {
         return {
           hasUpdate: true,
           currentVersion: this.currentVersion,
@@ -35,11 +58,6 @@ export class UpdateChecker {
           updateUrl: `https://www.npmjs.com/package/${this.packageName}`
         };
       } else {
-        // Update last check time
-        this.updateLastCheckTime();
-        // Clear any saved update info since we're up to date
-        this.clearAvailableUpdate();
-        
         return {
           hasUpdate: false,
           currentVersion: this.currentVersion,
@@ -47,7 +65,9 @@ export class UpdateChecker {
         };
       }
     } catch (error) {
-      console.error(chalk.gray('⚠️  Could not check for updates:'), error.message);
+      if (!quiet) {
+        console.error(chalk.gray('⚠️  Could not check for updates:'), error.message);
+      }
       return null;
     }
   }
@@ -57,8 +77,10 @@ export class UpdateChecker {
    */
   async getLatestVersion() {
     try {
-      const response = await fetch(`https://registry.npmjs.org/${this.packageName}/latest`, {
+      const registryUrl = this.getRegistryUrl();
+      const response = await fetch(registryUrl, {
         timeout: 5000,
+        agent: this.proxy ? this.proxy.getAgent(registryUrl) : undefined,
         headers: {
           'User-Agent': `${this.packageName}/${this.currentVersion} update-checker`
         }
@@ -113,24 +135,15 @@ export class UpdateChecker {
   }
 
   /**
-   * Update the last check time in config
-   */
-  updateLastCheckTime() {
-    this.configManager.setConfig('lastUpdateCheck', new Date().toISOString());
-  }
-
-  /**
-   * Save available update information
-   */
-  saveAvailableUpdate(version) {
-    this.configManager.setConfig('availableUpdate', version);
-  }
-
-  /**
-   * Clear available update information
+   * Record the check time and the newer version found, if any. Waits for the
+   * config lock asynchronously, since the chat screen may be running in this
+   * process.
    */
-  clearAvailableUpdate() {
-    this.configManager.setConfig('availableUpdate', null);
+  saveCheckResult(availableUpdate) {
+    return this.configManager.updateConfigAsync((config) => {
+      config.lastUpdateCheck = new Date().toISOString();
+      config.availableUpdate = availableUpdate;
+    });
   }
 
   /**
@@ -189,7 +202,7 @@ export class UpdateChecker {
   /**
    * Check for updates silently and return cached result
    */
-  async checkForUpdatesAsync() {
+  async checkForUpdatesAsync({ onError = null } = {}) {
     try {
       // Try to get cached update first
       const cachedUpdate = this.getCachedUpdate();
@@ -200,7 +213,7 @@ export class UpdateChecker {
       // If no cached update and we should check, do async check
       if (!this.shouldSkipCheck()) {
         // Run update check in background without blocking
-        this.checkForUpdates().catch(() => {
+        this.checkForUpdates({ quiet: true, onError }).catch(() => {
           // Silently ignore errors in background check
         });
       }
@@ -1,24 +1,44 @@
 import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
 import terminalKit from 'terminal-kit';
 import chalk from 'chalk';
+import { ScreenBuffer } from './ScreenBuffer.js';
+import { LinkFinder } from './LinkFinder.js';
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+import { TextLayout } from './TextLayout.js';
+import { TextSanitizer } from './TextSanitizer.js';
 
 const term = terminalKit.terminal;
 
+// Renders asked for within one frame are drawn together
+const FRAME_INTERVAL = 16;
+
 export class UserInterface extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
-    this.messages = [];
-    this.users = new Set();
+    // Per-room buffers, rosters and scroll state, keyed by room name
+    this.rooms = new Map();
+    this.activeRoom = null;
     this.currentInput = '';
-    this.status = 'Initializing...';
     this.updateStatus = null; // New property for update status
+    this.countdownTimer = null;
     this.isActive = false;
     this.maxMessages = 500;
     this.inputMode = false;
-    
-    // Scrolling state
-    this.messageScrollOffset = 0; // How many lines scrolled up from bottom
-    this.maxScrollOffset = 0;
+    this.commandCompleter = null; // Completes "/command args", set by ChatApp
+    this.showRaw = false; // Show text as received, escapes spelled out (/raw)
+    this.richText = options.richText !== false; // Markdown formatting in chat messages
+    this.hyperlinks = options.hyperlinks ?? LinkFinder.isSupported(); // Clickable OSC 8 links
+    this.picker = null; // { title, items, actions, selected } while a list is open to pick from
+    this.secretPrompt = null; // { label, resolve, cancelled } while the input line asks for a password
+
+    // Rendering: frames are built in a ScreenBuffer, which only sends the cells
+    // that changed since the last one; wrapped lines are cached per message
+    this.screen = null;
+    this.layoutCache = new WeakMap(); // message -> { width, lines }
+    this.renderTimer = null;
+    this.lastRenderAt = 0;
+    this.inputController = null;
 
     // User suggestion state
     this.showingSuggestions = false;
@@ -27,10 +47,86 @@ export class UserInterface extends EventEmitter {
     this.lastAtIndex = -1;
   }
 
+  createRoomState(name) {
+    return {
+      name,
+      messages: [],
+      users: new Set(),
+      status: 'Initializing...',
+      connection: null, // Connection state info from WebSocketClient
+      latency: null, // Last heartbeat round-trip time in ms
+      unread: 0,
+      // Scrolling state
+      messageScrollOffset: 0, // How many lines scrolled up from bottom
+      maxScrollOffset: 0
+    };
+  }
+
+  addRoom(name) {
+    if (!this.rooms.has(name)) {
+      this.rooms.set(name, this.createRoomState(name));
+    }
+    if (!this.activeRoom) {
+      this.activeRoom = name;
+    }
+    this.render();
+  }
+
+  removeRoom(name) {
+    if (!this.rooms.has(name)) return;
+
+    const names = Array.from(this.rooms.keys());
+    this.rooms.delete(name);
+
+    if (this.activeRoom === name) {
+      // Fall back to the neighbouring tab
+      const index = names.indexOf(name);
+      this.activeRoom = names[index + 1] || names[index - 1] || null;
+    }
+    this.render();
+  }
+
+  /**
+   * Get a room's state, defaulting to the active room
+   */
+  getRoom(name = this.activeRoom) {
+    if (!this.rooms.has(name)) {
+      this.addRoom(name);
+    }
+    return this.rooms.get(name);
+  }
+
+  getActiveRoomName() {
+    return this.activeRoom;
+  }
+
+  getRoomNames() {
+    return Array.from(this.rooms.keys());
+  }
+
+  getUsers(roomName) {
+    return Array.from(this.getRoom(roomName).users);
+  }
+
+  switchRoom(name) {
+    if (!this.rooms.has(name) || name === this.activeRoom) return;
+    this.activeRoom = name;
+    this.getRoom().unread = 0;
+    this.emit('roomChanged', name);
+    this.render();
+  }
+
+  cycleRoom(direction) {
+    const names = Array.from(this.rooms.keys());
+    if (names.length < 2) return;
+    const index = names.indexOf(this.activeRoom);
+    this.switchRoom(names[(index + direction + names.length) % names.length]);
+  }
+
   start() {
     this.isActive = true;
     this.setupTerminal();
-    this.render();
+    this.renderNow();
     this.setupInput();
   }
 
@@ -38,11 +134,12 @@ export class UserInterface extends EventEmitter {
     // Clear screen and initially hide cursor (will show during input)
     term.clear();
     term.hideCursor(true);
+    this.screen = new ScreenBuffer(term.width, term.height, { hyperlinks: this.hyperlinks });
     
-    // Handle terminal resize
-    term.on('resize', () => {
+    // Layouts are cached per width, so a resize only needs a fresh screen
+    term.on('resize', (width, height) => {
       if (this.isActive) {
-        this.recalculateScrollLimits();
+        this.screen = new ScreenBuffer(width, height, { hyperlinks: this.hyperlinks });
         this.render();
       }
     });
@@ -53,9 +150,8 @@ export class UserInterface extends EventEmitter {
     this.inputMode = true;
     this.currentInput = '';
     
-    // Show cursor for input and render prompt first
+    // Show cursor for input; the prompt is already on screen
     term.hideCursor(false);
-    this.renderInputPrompt();
     
     // Setup keyboard event handling
     this.setupKeyboardHandling();
@@ -70,6 +166,18 @@ export class UserInterface extends EventEmitter {
     
     term.on('key', (name, matches, data) => {
       if (!this.isActive) return;
+
+      // An open picker takes the keys, ESC included
+      if (this.picker && name !== 'CTRL_C') {
+        this.handlePickerKey(name);
+        return;
+      }
+
+      // ESC gives up on a password; the input field sees it too and finishes
+      if (this.secretPrompt && name === 'ESCAPE') {
+        this.secretPrompt.cancelled = true;
+        return;
+      }
       
       // Handle quit keys
       if (name === 'ESCAPE' || name === 'CTRL_C') {
@@ -78,8 +186,16 @@ export class UserInterface extends EventEmitter {
         return;
       }
       
-      // Handle scrolling keys when not in input mode
+      // Handle room switching and scrolling keys
       switch (name) {
+        case 'ALT_RIGHT':
+        case 'CTRL_N':
+          this.cycleRoom(1);
+          break;
+        case 'ALT_LEFT':
+        case 'CTRL_P':
+          this.cycleRoom(-1);
+          break;
         case 'UP':
           this.scrollUp();
           break;
@@ -103,74 +219,90 @@ export class UserInterface extends EventEmitter {
   }
 
   scrollUp() {
-    if (this.messageScrollOffset < this.maxScrollOffset) {
-      this.messageScrollOffset += 1;
+    const room = this.getRoom();
+    if (room.messageScrollOffset < room.maxScrollOffset) {
+      room.messageScrollOffset += 1;
       this.render();
     }
   }
 
   scrollDown() {
-    if (this.messageScrollOffset > 0) {
-      this.messageScrollOffset -= 1;
+    const room = this.getRoom();
+    if (room.messageScrollOffset > 0) {
+      room.messageScrollOffset -= 1;
       this.render();
     }
   }
 
   scrollPageUp() {
+    const room = this.getRoom();
     const { height } = term;
     const messageAreaHeight = height - 6; // Adjust for headers and input
-    const scrollAmount = Math.min(messageAreaHeight - 2, this.maxScrollOffset - this.messageScrollOffset);
-    this.messageScrollOffset += scrollAmount;
+    const scrollAmount = Math.min(messageAreaHeight - 2, room.maxScrollOffset - room.messageScrollOffset);
+    room.messageScrollOffset += scrollAmount;
     this.render();
   }
 
   scrollPageDown() {
+    const room = this.getRoom();
     const { height } = term;
     const messageAreaHeight = height - 6;
-    const scrollAmount = Math.min(messageAreaHeight - 2, this.messageScrollOffset);
-    this.messageScrollOffset -= scrollAmount;
+    const scrollAmount = Math.min(messageAreaHeight - 2, room.messageScrollOffset);
+    room.messageScrollOffset -= scrollAmount;
     this.render();
   }
 
   scrollToTop() {
-    this.messageScrollOffset = this.maxScrollOffset;
+    const room = this.getRoom();
+    room.messageScrollOffset = room.maxScrollOffset;
     this.render();
   }
 
   scrollToBottom() {
-    this.messageScrollOffset = 0;
+    this.getRoom().messageScrollOffset = 0;
     this.render();
   }
 
-  recalculateScrollLimits() {
+  getHeaderHeight() {
+    // Status bar, optional update bar, optional room tabs, border and spacer
+    let headerHeight = 3;
+    if (this.updateStatus) headerHeight++;
+    if (this.rooms.size > 1) headerHeight++;
+    return headerHeight;
+  }
+
+  recalculateScrollLimits(room = this.getRoom()) {
     const { width, height } = term;
-    const headerHeight = this.updateStatus ? 4 : 3; // Adjust for update status
-    const inputHeight = 3;
+    const headerHeight = this.getHeaderHeight();
+    const inputHeight = 4; // Divider, prompt, hint and the blank bottom row
     const contentHeight = height - headerHeight - inputHeight;
     const messageAreaWidth = Math.floor(width * 0.75);
     const messageDisplayHeight = contentHeight - 2;
     
-    // Calculate total lines needed for all messages
+    // Calculate total lines needed for all messages, from the layout cache
     let totalLines = 0;
-    this.messages.forEach(msg => {
-      const lines = this.calculateMessageLines(msg, messageAreaWidth - 2);
-      totalLines += lines;
+    room.messages.forEach(msg => {
+      totalLines += this.getMessageLines(msg, messageAreaWidth - 2).length;
     });
     
-    this.maxScrollOffset = Math.max(0, totalLines - messageDisplayHeight);
+    room.maxScrollOffset = Math.max(0, totalLines - messageDisplayHeight);
+    room.messageScrollOffset = Math.min(room.messageScrollOffset, room.maxScrollOffset);
   }
 
-  calculateMessageLines(msg, maxWidth) {
-    const formattedMsg = this.formatMessage(msg, maxWidth, false); // Don't truncate for calculation
-    const plainText = this.stripAnsiCodes(formattedMsg);
-    return Math.ceil(plainText.length / maxWidth) || 1;
+  /**
+   * A message's wrapped lines, cached for the width they were laid out at.
+   * A resize leaves stale entries behind that are redone when next needed.
+   */
+  getMessageLines(msg, maxWidth) {
+    const cached = this.layoutCache.get(msg);
+    if (cached && cached.width === maxWidth) {
+      return cached.lines;
+    }
+    const lines = this.formatMessageToLines(msg, maxWidth);
+    this.layoutCache.set(msg, { width: maxWidth, lines });
+    return lines;
   }
 
-  stripAnsiCodes(str) {
-    // Remove ANSI color codes for accurate length calculation
-    return str.replace(/\u001b\[[0-9;]*m/g, '');
-  }
-  
   async startInputLoop() {
     // Add process-level signal handlers for Ctrl+C
     process.on('SIGINT', () => {
@@ -183,29 +315,52 @@ export class UserInterface extends EventEmitter {
         // Position cursor at input area
         const { width, height } = term;
         const inputY = height - 2;
-        const promptText = 'Message: ';
-        const inputStartX = promptText.length + 1;
+        const inputStartX = this.getPromptText().length + 1;
+        const secret = this.secretPrompt;
         
-        term.moveTo(inputStartX, inputY);
-        
-        // Use terminal-kit's inputField for proper input handling
-        const result = await term.inputField({
+        // Use terminal-kit's inputField for proper input handling. Its position
+        // is given up front: asking the terminal would race with renders.
+        // A password is masked and gets no completion, which would echo it.
+        this.inputController = term.inputField(secret ? {
+          x: inputStartX,
+          y: inputY,
+          echoChar: '*',
+          maxLength: 256,
+          cancelable: true
+        } : {
+          x: inputStartX,
+          y: inputY,
           echo: true,
           maxLength: 256,
           cancelable: true,
           autoComplete: (input) => this.handleAutoComplete(input),
           autoCompleteHint: true,
           autoCompleteMenu: true
-        }).promise;
-        
-        if (result && result.trim()) {
-          const message = result.trim();
-          this.emit('message', message);
+        });
+        if (this.picker) this.inputController.pause();
+        const result = await this.inputController.promise;
+        this.inputController = null;
+
+        if (secret) {
+          this.secretPrompt = null;
+          this.updateInputDisplay(inputStartX);
+          this.render();
+          secret.resolve(secret.cancelled || !result ? null : result);
+        } else if (result && result.trim() && this.isCommandInput(result.trim())) {
+          // Commands are handled locally and never shown as pending messages
+          this.currentInput = '';
+          this.emit('command', result.trim(), this.activeRoom);
+          this.updateInputDisplay(inputStartX);
+        } else if (result && result.trim()) {
+          // "//text" escapes a message that really starts with a slash
+          const message = result.trim().replace(/^\/\//, '/');
+          const roomName = this.activeRoom;
           
-          // Clear input and immediately show the message as pending
+          // Show the message as pending first so a listener can mark it queued
           this.currentInput = '';
-          this.addPendingMessage(message);
-          this.updateInputDisplay();
+          const id = this.addPendingMessage(message, roomName);
+          this.emit('message', message, roomName, id);
+          this.updateInputDisplay(inputStartX);
           
           // Auto-scroll to bottom when sending a message
           this.scrollToBottom();
@@ -223,86 +378,222 @@ export class UserInterface extends EventEmitter {
     }
   }
 
+  isCommandInput(input) {
+    return input.startsWith('/') && !input.startsWith('//');
+  }
+
+  setCommandCompleter(completer) {
+    this.commandCompleter = completer;
+  }
+
   handleAutoComplete(input) {
     if (!input) return [];
 
+    if (this.isCommandInput(input) && this.commandCompleter) {
+      const candidates = this.commandCompleter(input);
+      // Fall through to @mentions for free-text arguments such as /me
+      if (candidates.length > 0 || !input.includes('@')) {
+        return candidates;
+      }
+    }
+
     const lastAtIndex = input.lastIndexOf('@');
     if (lastAtIndex === -1) return [];
 
     const searchTerm = input.slice(lastAtIndex + 1).toLowerCase();
-    const usersList = Array.from(this.users);
+    const usersList = Array.from(this.getRoom().users);
     
+    // Completions are drawn by the input field, so names are cleaned first
     return usersList
+      .map(user => TextSanitizer.cleanName(user))
       .filter(user => user.toLowerCase().startsWith(searchTerm))
       .map(user => input.slice(0, lastAtIndex + 1) + user);
   }
 
-  updateInputDisplay() {
+  /**
+   * Blank what was typed, from `from`, where the last input field started;
+   * the next prompt may be a different length
+   */
+  updateInputDisplay(from = this.getPromptText().length + 1) {
     // Clear the input area for fresh display
     const { width, height } = term;
     const inputY = height - 2;
-    const promptText = 'Message: ';
-    const inputStartX = promptText.length + 1;
+    const inputStartX = this.getPromptText().length + 1;
     
     // Clear input area
-    term.moveTo(inputStartX, inputY);
-    term(' '.repeat(width - inputStartX));
+    term.moveTo(from, inputY);
+    term(' '.repeat(width - from));
     
     // Position cursor for next input
     term.moveTo(inputStartX, inputY);
   }
 
+  /**
+   * Ask for a redraw. Everything asked for within one frame is drawn once.
+   */
   render() {
+    if (!this.isActive || this.renderTimer) return;
+
+    const wait = Math.max(0, this.lastRenderAt + FRAME_INTERVAL - Date.now());
+    this.renderTimer = setTimeout(() => {
+      this.renderTimer = null;
+      this.renderNow();
+    }, wait);
+  }
+
+  renderNow() {
     if (!this.isActive) return;
+    this.lastRenderAt = Date.now();
 
-    const { width, height } = term;
-    
-    // Clear screen
-    term.clear();
-    
-    // Header
+    // Scroll limits first, so the view below never starts past the top
+    this.recalculateScrollLimits();
+
+    // Build the whole frame off screen
+    this.screen.clear();
     this.renderHeader();
-    
-    // Main content area
     this.renderMainContent();
-    
-    // Input area
     this.renderInputPrompt();
-    
-    // Recalculate scroll limits after render
-    this.recalculateScrollLimits();
+
+    this.drawScreen();
+  }
+
+  /**
+   * Send the changed cells to the terminal, leaving the input field's cursor
+   * where it was. A new screen (first frame, resize) is drawn in full, which
+   * blanks the input field, so it is put back afterwards.
+   */
+  drawScreen() {
+    const fullDraw = this.screen.isFresh();
+    const output = this.screen.flush();
+    if (!output) return;
+
+    term.saveCursor();
+    term.hideCursor(true);
+    term.stdout.write(output);
+    term.restoreCursor();
+    if (this.inputMode) {
+      term.hideCursor(false);
+    }
+
+    if (fullDraw && this.inputController) {
+      this.inputController.rebase(this.getPromptText().length + 1, term.height - 2);
+    }
+  }
+
+  /**
+   * Write chalk-styled text to the next frame, at 1-based terminal
+   * coordinates like term.moveTo. maxWidth clips the text.
+   */
+  put(x, y, text, maxWidth = Infinity) {
+    this.screen.write(x, y, text, maxWidth);
   }
 
   renderHeader() {
     const { width } = term;
-    let headerHeight = 3;
+    const room = this.getRoom();
+    let row = 2;
     
     // Status bar
-    term.moveTo(1, 1);
-    term.bgBlue.white(`${' '.repeat(width)}`);
-    term.moveTo(1, 1);
-    term.bgBlue.white(` Status: ${this.status}`);
-    term.moveTo(width - 20, 1);
-    term.bgBlue.white(`Users: ${this.users.size} `);
+    this.put(1, 1, chalk.bgBlue.white(' '.repeat(width)));
+    this.put(1, 1, chalk.bgBlue.white(` Status: ${this.getStatusText()}`));
+    
+    // Connection quality, latency and user count, right-aligned
+    const quality = this.getConnectionQuality();
+    const latencyText = room.latency !== null ? ` ${room.latency}ms` : '';
+    const usersText = `Users: ${room.users.size} `;
+    this.put(
+      width - (quality.bars.length + latencyText.length + 2 + usersText.length) + 1, 1,
+      chalk.bgBlue[quality.color](quality.bars) + chalk.bgBlue.white(`${latencyText}  ${usersText}`)
+    );
     
     // Update status bar (if update is available)
     if (this.updateStatus) {
-      term.moveTo(1, 2);
-      term.bgYellow.black(`${' '.repeat(width)}`);
-      term.moveTo(1, 2);
-      term.bgYellow.black(` 🚀 ${this.updateStatus}`);
-      headerHeight = 4;
+      this.put(1, row, chalk.bgYellow.black(' '.repeat(width)));
+      this.put(1, row, chalk.bgYellow.black(` 🚀 ${this.updateStatus}`));
+      row++;
+    }
+    
+    // Room tabs (only once there is more than one room)
+    if (this.rooms.size > 1) {
+      this.renderTabs(row);
+      row++;
     }
     
     // Border
-    term.moveTo(1, headerHeight - 1);
-    term.cyan('─'.repeat(width));
+    this.put(1, row, chalk.cyan('─'.repeat(width)));
+  }
+
+  renderTabs(y) {
+    const { width } = term;
+    let x = 1;
+
+    for (const room of this.rooms.values()) {
+      const unread = room.unread > 0 ? ` (${room.unread})` : '';
+      const label = ` #${room.name}${unread} `;
+      const labelWidth = TextLayout.width(label);
+      if (x + labelWidth > width) break;
+
+      if (room.name === this.activeRoom) {
+        this.put(x, y, chalk.bgCyan.black.bold(label));
+      } else if (room.connection && room.connection.state !== 'open') {
+        this.put(x, y, chalk.gray(label));
+      } else if (room.unread > 0) {
+        this.put(x, y, chalk.yellow.bold(label));
+      } else {
+        this.put(x, y, chalk.white(label));
+      }
+      x += labelWidth + 1;
+    }
+
+    const hint = 'Alt+←/→ switch';
+    if (x + hint.length < width) {
+      this.put(width - hint.length, y, chalk.gray(hint));
+    }
+  }
+
+  getStatusText() {
+    const room = this.getRoom();
+    const parts = [room.status];
+    const connection = room.connection;
+
+    if (connection && connection.state === 'backing-off' && connection.nextRetryAt) {
+      const seconds = Math.max(0, Math.ceil((connection.nextRetryAt - Date.now()) / 1000));
+      parts.push(`retrying in ${seconds}s (attempt ${connection.attempt}/${connection.maxAttempts})`);
+    }
+
+    const queued = room.messages.filter(msg => msg.type === 'pending' && msg.status === 'queued').length;
+    if (queued > 0) {
+      parts.push(`${queued} queued`);
+    }
+    const failed = room.messages.filter(msg => msg.type === 'pending' && msg.status === 'failed').length;
+    if (failed > 0) {
+      parts.push(`${failed} failed`);
+    }
+
+    return parts.join(' • ');
+  }
+
+  getConnectionQuality() {
+    const { connection, latency } = this.getRoom();
+    if (connection && connection.state !== 'open') {
+      return { label: 'offline', bars: '▁▁▁', color: 'gray' };
+    }
+    if (latency === null) {
+      return { label: 'unknown', bars: '▁▁▁', color: 'white' };
+    }
+    if (latency < 150) {
+      return { label: 'good', bars: '▁▃▅', color: 'green' };
+    }
+    if (latency < 500) {
+      return { label: 'fair', bars: '▁▃ ', color: 'yellow' };
+    }
+    return { label: 'poor', bars: '▁  ', color: 'red' };
   }
 
   renderMainContent() {
     const { width, height } = term;
-    const headerHeight = this.updateStatus ? 4 : 3;
-    const inputHeight = 3;
+    const headerHeight = this.getHeaderHeight();
+    const inputHeight = 4; // Divider, prompt, hint and the blank bottom row
     const contentHeight = height - headerHeight - inputHeight;
     const messageAreaWidth = Math.floor(width * 0.75);
     const userAreaWidth = width - messageAreaWidth - 1;
@@ -314,30 +605,31 @@ export class UserInterface extends EventEmitter {
     this.renderUsers(messageAreaWidth + 2, headerHeight + 1, userAreaWidth, contentHeight);
     
     // Separator
-    term.moveTo(messageAreaWidth + 1, headerHeight + 1);
     for (let i = 0; i < contentHeight; i++) {
-      term.moveTo(messageAreaWidth + 1, headerHeight + 1 + i);
-      term.cyan('│');
+      this.put(messageAreaWidth + 1, headerHeight + 1 + i, chalk.cyan('│'));
     }
   }
 
   renderMessages(x, y, width, height) {
     // Messages header
-    term.moveTo(x, y);
-    term.bold.blue('Messages');
+    this.put(x, y, chalk.bold.blue('Messages'));
     
     // Scroll indicator
-    if (this.messageScrollOffset > 0) {
-      term.moveTo(x + width - 15, y);
-      term.yellow(`↑${this.messageScrollOffset} lines`);
+    const { messageScrollOffset } = this.getRoom();
+    if (messageScrollOffset > 0) {
+      this.put(x + width - 15, y, chalk.yellow(`↑${messageScrollOffset} lines`));
     }
     
-    term.moveTo(x, y + 1);
-    term.cyan('─'.repeat(width - 1));
+    this.put(x, y + 1, chalk.cyan('─'.repeat(width - 1)));
     
     // Display messages with scrolling
     const startY = y + 2;
     const messageDisplayHeight = height - 2;
+
+    if (this.picker) {
+      this.renderPicker(x, startY, width, messageDisplayHeight);
+      return;
+    }
     
     // Calculate which messages to show based on scroll offset
     const messagesToRender = this.getMessagesForDisplay(messageDisplayHeight, width - 2);
@@ -345,293 +637,489 @@ export class UserInterface extends EventEmitter {
     messagesToRender.forEach((line, index) => {
       const lineY = startY + index;
       if (lineY < y + height) {
-        term.moveTo(x, lineY);
-        term(line);
+        this.put(x, lineY, line, width);
       }
     });
   }
 
   getMessagesForDisplay(displayHeight, maxWidth) {
-    const allLines = [];
+    const room = this.getRoom();
+    const needed = displayHeight + room.messageScrollOffset;
+    const lines = [];
     
-    // Convert all messages to display lines
-    this.messages.forEach(msg => {
-      const lines = this.formatMessageToLines(msg, maxWidth);
-      allLines.push(...lines);
-    });
+    // Only messages in view, counting back from the newest, are laid out
+    for (let i = room.messages.length - 1; i >= 0 && lines.length < needed; i--) {
+      lines.unshift(...this.getMessageLines(room.messages[i], maxWidth));
+    }
     
     // Apply scroll offset
-    const totalLines = allLines.length;
-    const startIndex = Math.max(0, totalLines - displayHeight - this.messageScrollOffset);
-    const endIndex = Math.max(0, totalLines - this.messageScrollOffset);
+    const endIndex = Math.max(0, lines.length - room.messageScrollOffset);
+    const startIndex = Math.max(0, endIndex - displayHeight);
     
-    return allLines.slice(startIndex, endIndex);
+    return lines.slice(startIndex, endIndex);
+  }
+
+  /**
+   * Text from the server (messages, names, error frames, close reasons) as it
+   * is safe to draw: cleaned, or spelled out in raw mode
+   */
+  displayText(text) {
+    return this.showRaw ? TextSanitizer.reveal(text) : TextSanitizer.clean(text);
+  }
+
+  displayName(name) {
+    return this.showRaw ? TextSanitizer.reveal(name) : TextSanitizer.cleanName(name);
+  }
+
+  /**
+   * Switch between cleaned text and text as received. Everything is laid out
+   * again, since the cached lines hold the old form.
+   */
+  setShowRaw(enabled) {
+    this.showRaw = enabled;
+    this.layoutCache = new WeakMap();
+    this.render();
+  }
+
+  /**
+   * Links in a room's chat messages, newest first and each URL once, as
+   * { url, text, name, timestamp }. They are found in cleaned text, as on
+   * screen.
+   */
+  getRecentLinks(roomName, limit = 20) {
+    const links = [];
+    const seen = new Set();
+    const { messages } = this.getRoom(roomName);
+
+    for (let i = messages.length - 1; i >= 0 && links.length < limit; i--) {
+      const msg = messages[i];
+      if (msg.type !== 'chat') continue;
+      for (const link of LinkFinder.find(TextSanitizer.clean(msg.text)).reverse()) {
+        if (seen.has(link.url) || links.length >= limit) continue;
+        seen.add(link.url);
+        links.push({ ...link, name: msg.name, timestamp: msg.timestamp });
+      }
+    }
+    return links;
   }
 
   formatMessageToLines(msg, maxWidth) {
     const timestamp = `[${msg.timestamp}]`;
+    const text = this.displayText(msg.text);
+    const name = msg.name !== undefined ? this.displayName(msg.name) : '';
+    const indent = ' '.repeat(TextLayout.width(timestamp) + 2);
     let content = '';
+
+    // Raw mode shows exactly what arrived, so no formatting there
+    if (msg.type === 'chat' && this.richText && !this.showRaw && !this.isActionText(msg.text)) {
+      return MarkdownRenderer.render(text, maxWidth, {
+        first: `${chalk.gray(timestamp)} ${chalk.green.bold(name)}: `,
+        indent
+      });
+    }
     
     switch (msg.type) {
-      case 'chat':
-        content = `${chalk.green.bold(msg.name)}: ${msg.text}`;
+      case 'chat': {
+        // Links are only marked up in cleaned text; the raw view shows what came
+        const linked = this.showRaw ? text : LinkFinder.linkify(text);
+        content = this.isActionText(msg.text)
+          ? chalk.magenta(`* ${name} ${linked.slice(4)}`)
+          : `${chalk.green.bold(name)}: ${linked}`;
         break;
+      }
       case 'system':
-        content = chalk.gray(msg.text);
+        content = chalk.gray(text);
         break;
       case 'error':
-        content = chalk.red(msg.text);
+        content = chalk.red(text);
         break;
       case 'info':
-        content = chalk.cyan(msg.text);
+        content = chalk.cyan(text);
+        break;
+      case 'divider':
+        content = chalk.gray(`──── ${text} ────`);
         break;
       case 'pending':
-        content = `${chalk.yellow.bold(msg.name)}: ${chalk.gray(msg.text)} ${chalk.gray('(sending...)')}`;
+        content = msg.status === 'failed'
+          ? `${chalk.red.bold(name)}: ${chalk.gray(text)} ${chalk.red('(not delivered: /resend or /discard)')}`
+          : `${chalk.yellow.bold(name)}: ${chalk.gray(text)} ${chalk.gray(msg.status === 'queued' ? '(queued)' : '(sending...)')}`;
         break;
       default:
-        content = msg.text;
-    }
-    
-    const fullMessage = `${chalk.gray(timestamp)} ${content}`;
-    const plainText = this.stripAnsiCodes(fullMessage);
-    
-    // If message fits on one line, return it
-    if (plainText.length <= maxWidth) {
-      return [fullMessage];
+        content = text;
     }
     
-    // Split into multiple lines preserving colors
-    const lines = [];
-    const words = content.split(' ');
-    let currentLine = `${chalk.gray(timestamp)} `;
-    let currentPlainLine = `${timestamp} `;
-    
-    for (const word of words) {
-      const plainWord = this.stripAnsiCodes(word);
-      const testLine = currentPlainLine + (currentPlainLine.endsWith(' ') ? '' : ' ') + plainWord;
-      
-      if (testLine.length <= maxWidth) {
-        if (currentLine === `${chalk.gray(timestamp)} `) {
-          currentLine += word;
-          currentPlainLine += plainWord;
-        } else {
-          currentLine += ' ' + word;
-          currentPlainLine += ' ' + plainWord;
-        }
-      } else {
-        // Line would be too long, start a new line
-        if (currentLine.trim() !== `${chalk.gray(timestamp)}`) {
-          lines.push(currentLine);
-        }
-        
-        // Start new line with proper indentation
-        const indent = ' '.repeat(timestamp.length + 2);
-        currentLine = chalk.gray(indent) + word;
-        currentPlainLine = indent + plainWord;
+    // Wrapped lines are indented past the timestamp
+    return TextLayout.wrap(content, maxWidth, { first: `${chalk.gray(timestamp)} `, indent });
+  }
+
+  /**
+   * Show a list in place of the messages, to choose from with ↑/↓. Each
+   * action is { key, hint, run }: its key (a terminal-kit key name such as
+   * 'ENTER' or 'c') closes the list and calls run with the chosen item. ESC
+   * just closes it. Typing is paused while it is open.
+   */
+  showPicker(title, items, actions) {
+    this.picker = { title, items, actions, selected: 0 };
+    if (this.inputController) this.inputController.pause();
+    this.render();
+  }
+
+  closePicker() {
+    this.picker = null;
+    // Not before the key that closed it has been seen by the input field too
+    setImmediate(() => {
+      if (this.inputController) this.inputController.resume();
+    });
+    this.render();
+  }
+
+  handlePickerKey(name) {
+    const picker = this.picker;
+    if (name === 'ESCAPE') {
+      this.closePicker();
+    } else if (name === 'UP' || name === 'DOWN') {
+      const step = name === 'UP' ? -1 : 1;
+      picker.selected = (picker.selected + step + picker.items.length) % picker.items.length;
+      this.render();
+    } else {
+      const action = picker.actions.find(candidate => candidate.key === name);
+      if (action) {
+        this.closePicker();
+        action.run(picker.items[picker.selected]);
       }
     }
-    
-    // Add the last line
-    if (currentLine.trim() !== `${chalk.gray(timestamp)}`) {
-      lines.push(currentLine);
-    }
-    
-    return lines.length > 0 ? lines : [fullMessage];
+  }
+
+  renderPicker(x, y, width, height) {
+    const { title, items, actions, selected } = this.picker;
+    const hint = [...actions.map(action => action.hint), '↑↓ move', 'ESC close'].join(' • ');
+    this.put(x, y, chalk.bold(title), width - 1);
+    this.put(x, y + height - 1, chalk.gray(hint), width - 1);
+
+    // Title, a blank row and the hint around the items; the selected one stays in view
+    const rows = Math.max(1, height - 3);
+    const top = Math.max(0, selected - rows + 1);
+    items.slice(top, top + rows).forEach((item, index) => {
+      const label = ` ${TextLayout.truncate(item.label, width - 3)} `;
+      this.put(x, y + 2 + index, top + index === selected ? chalk.inverse(label) : label, width - 1);
+    });
   }
 
   renderUsers(x, y, width, height) {
     // Users header
-    term.moveTo(x, y);
-    term.bold.green('Users');
-    term.moveTo(x, y + 1);
-    term.cyan('─'.repeat(width - 1));
+    this.put(x, y, chalk.bold.green('Users'));
+    this.put(x, y + 1, chalk.cyan('─'.repeat(width - 1)));
     
     // Display users
     const startY = y + 2;
-    const usersList = Array.from(this.users);
+    const usersList = Array.from(this.getRoom().users);
     
     usersList.forEach((user, index) => {
       const lineY = startY + index;
-      if (lineY < y + height - 1) {
-        term.moveTo(x, lineY);
-        term.green(`• ${user.substring(0, width - 4)}`);
+      if (lineY < y + height) {
+        this.put(x, lineY, chalk.green(`• ${TextLayout.truncate(this.displayName(user), width - 4)}`));
       }
     });
   }
 
+  getPromptText() {
+    return this.secretPrompt ? 'Password: ' : 'Message: ';
+  }
+
   renderInputPrompt() {
     const { width, height } = term;
     const inputY = height - 2;
-    const promptText = 'Message: ';
     
     // Input border
-    term.moveTo(1, inputY - 1);
-    term.cyan('─'.repeat(width));
+    this.put(1, inputY - 1, chalk.cyan('─'.repeat(width)));
     
-    // Input prompt
-    term.moveTo(1, inputY);
-    term.yellow(promptText);
+    // Input prompt; the rest of the line belongs to the input field
+    this.put(1, inputY, chalk.yellow(this.getPromptText()));
     
     // Help text with scroll instructions and @ mention hint
-    term.moveTo(1, height - 1);
-    term.gray('Type and press ENTER • ↑↓ PgUp/PgDn Home/End to scroll • @ for mentions • ESC/Ctrl+C to quit');
-    
-    // Update input display
-    this.updateInputDisplay();
+    if (this.secretPrompt) {
+      this.put(1, height - 1, chalk.gray(`${this.secretPrompt.label} (hidden) • ENTER to use it • ESC to cancel`));
+    } else {
+      this.put(1, height - 1, chalk.gray('Type and press ENTER • /help for commands • ↑↓ PgUp/PgDn Home/End to scroll • @ for mentions • ESC/Ctrl+C to quit'));
+    }
   }
 
-  formatMessage(msg, maxWidth, allowTruncation = true) {
-    const timestamp = `[${msg.timestamp}]`;
-    let content = '';
-    
-    switch (msg.type) {
-      case 'chat':
-        content = `${chalk.green.bold(msg.name)}: ${msg.text}`;
-        break;
-      case 'system':
-        content = chalk.gray(msg.text);
-        break;
-      case 'error':
-        content = chalk.red(msg.text);
-        break;
-      case 'info':
-        content = chalk.cyan(msg.text);
-        break;
-      default:
-        content = msg.text;
-    }
-    
-    const fullMessage = `${chalk.gray(timestamp)} ${content}`;
-    
-    // Only truncate if explicitly allowed (for legacy compatibility)
-    if (allowTruncation && this.stripAnsiCodes(fullMessage).length > maxWidth) {
-      return fullMessage.substring(0, maxWidth - 3) + '...';
-    }
-    
-    return fullMessage;
+  /**
+   * Ask for a password in the input line, masked as it is typed. Resolves
+   * with it, or null if ESC cancelled; it is never shown or kept. Call it
+   * straight from a command, before the input line is set up again.
+   */
+  promptSecret(label) {
+    return new Promise((resolve) => {
+      this.secretPrompt = { label, resolve, cancelled: false };
+      this.render();
+    });
   }
 
-  addPendingMessage(text) {
-    // Add a temporary pending message that will be replaced by the server response
+  isActionText(text) {
+    // "/me waves" is sent as plain text; other clients just show it verbatim
+    return text.startsWith('/me ');
+  }
+
+  /**
+   * Show a message of ours until the server confirms it. Returns the ID
+   * that ties it to the client's outgoing message.
+   */
+  addPendingMessage(text, roomName) {
+    const room = this.getRoom(roomName);
     const pendingMessage = {
       type: 'pending',
+      status: 'sending',
       text,
       timestamp: new Date().toLocaleTimeString(),
+      time: Date.now(),
       name: 'You',  // Keep as 'You' for display consistency
-      id: Date.now() // Add unique ID to track this message
+      id: randomUUID()
     };
     
-    this.messages.push(pendingMessage);
-    this.trimMessages();
-    this.recalculateScrollLimits();
+    room.messages.push(pendingMessage);
+    this.trimMessages(room);
+    this.recalculateScrollLimits(room);
     // Auto-scroll to bottom when adding pending message
-    this.scrollToBottom();
+    room.messageScrollOffset = 0;
+    this.render();
+    return pendingMessage.id;
+  }
+
+  findPendingIndex(room, id) {
+    return room.messages.findIndex(msg => msg.type === 'pending' && msg.id === id);
+  }
+
+  setPendingStatus(roomName, id, status) {
+    const room = this.getRoom(roomName);
+    const index = this.findPendingIndex(room, id);
+    if (index === -1) return;
+
+    const [msg] = room.messages.splice(index, 1);
+    msg.status = status;
+    this.layoutCache.delete(msg);
+    if (status === 'failed') {
+      // Failed messages stay where they were typed
+      room.messages.splice(index, 0, msg);
+    } else {
+      // A resent message goes back to the bottom, behind anything still in flight
+      room.messages.push(msg);
+      room.messageScrollOffset = 0;
+    }
+    this.render();
+  }
+
+  markPendingQueued(roomName, id) {
+    this.setPendingStatus(roomName, id, 'queued');
+  }
+
+  markPendingFailed(roomName, id) {
+    this.setPendingStatus(roomName, id, 'failed');
+  }
+
+  markPendingResent(roomName, id) {
+    this.setPendingStatus(roomName, id, 'sending');
+  }
+
+  removePendingMessage(roomName, id) {
+    const room = this.getRoom(roomName);
+    const index = this.findPendingIndex(room, id);
+    if (index === -1) return;
+    room.messages.splice(index, 1);
+    this.recalculateScrollLimits(room);
     this.render();
   }
 
-  addChatMessage(name, text, timestamp) {
-    // Find and remove the most recent pending message if it exists and matches
-    // Look for pending messages with matching text (regardless of name for better matching)
-    let pendingIndex = -1;
-    for (let i = this.messages.length - 1; i >= 0; i--) {
-      if (this.messages[i].type === 'pending' && this.messages[i].text === text) {
-        pendingIndex = i;
-        break; // Found the most recent matching pending message
+  releaseQueuedMessages(roomName) {
+    this.getRoom(roomName).messages.forEach(msg => {
+      if (msg.type === 'pending' && msg.status === 'queued') {
+        msg.status = 'sending';
+        this.layoutCache.delete(msg);
       }
+    });
+    this.render();
+  }
+
+  /**
+   * Add a line above our messages still in flight, which stay at the bottom
+   * until the server confirms them and so takes its place in the room's order
+   */
+  appendMessage(room, message) {
+    const index = room.messages.findIndex(msg => msg.type === 'pending' && msg.status !== 'failed');
+    if (index === -1) {
+      room.messages.push(message);
+    } else {
+      room.messages.splice(index, 0, message);
     }
+  }
+
+  /**
+   * Prepend stored history entries to a room's buffer, followed by a divider
+   */
+  addHistory(entries, roomName) {
+    if (entries.length === 0) return;
+
+    const room = this.getRoom(roomName);
+    const today = new Date().toDateString();
+    const formatTime = (timestamp) => {
+      const date = new Date(timestamp);
+      // Older entries get their date as well as the time
+      return date.toDateString() === today
+        ? date.toLocaleTimeString()
+        : `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
+    };
+
+    const messages = entries.map(entry => {
+      switch (entry.type) {
+        case 'joined':
+          return { type: 'system', text: `➕ ${TextSanitizer.cleanName(entry.name)} joined`, timestamp: formatTime(entry.timestamp), time: entry.timestamp };
+        case 'quit':
+          return { type: 'system', text: `➖ ${TextSanitizer.cleanName(entry.name)} left`, timestamp: formatTime(entry.timestamp), time: entry.timestamp };
+        default:
+          return { type: 'chat', name: entry.name, text: entry.text, timestamp: formatTime(entry.timestamp), time: entry.timestamp };
+      }
+    });
+
+    messages.push({
+      type: 'divider',
+      text: `history: ${entries.length} earlier message${entries.length === 1 ? '' : 's'}`,
+      timestamp: new Date().toLocaleTimeString(),
+      time: Date.now()
+    });
+
+    room.messages = [...messages, ...room.messages];
+    this.trimMessages(room);
+    this.render();
+  }
 
+  /**
+   * Add a message from the server. pendingId is set when it confirms one of
+   * ours, which is then replaced.
+   */
+  addChatMessage(name, text, timestamp, roomName, pendingId = null) {
+    const room = this.getRoom(roomName);
+    const pendingIndex = pendingId ? this.findPendingIndex(room, pendingId) : -1;
     if (pendingIndex !== -1) {
-      // Replace the pending message with the confirmed one
-      const time = timestamp ? new Date(timestamp).toLocaleTimeString() : new Date().toLocaleTimeString();
-      this.messages[pendingIndex] = {
-        type: 'chat',
-        name,
-        text,
-        timestamp: time
-      };
-    } else {
-      // If no pending message found, add as new message
-      const time = timestamp ? new Date(timestamp).toLocaleTimeString() : new Date().toLocaleTimeString();
-      this.messages.push({
-        type: 'chat',
-        name,
-        text,
-        timestamp: time
-      });
+      room.messages.splice(pendingIndex, 1);
+    } else if (room.name !== this.activeRoom) {
+      room.unread++;
     }
+
+    const time = timestamp ? new Date(timestamp).toLocaleTimeString() : new Date().toLocaleTimeString();
+    this.appendMessage(room, {
+      type: 'chat',
+      name,
+      text,
+      timestamp: time,
+      time: timestamp || Date.now()
+    });
     
-    this.trimMessages();
+    this.trimMessages(room);
     
     // Always render after adding a chat message
     this.render();
     
     // Recalculate scroll limits after rendering
-    this.recalculateScrollLimits();
+    this.recalculateScrollLimits(room);
   }
 
-  addSystemMessage(text) {
+  addSystemMessage(text, roomName) {
+    const room = this.getRoom(roomName);
     const systemMessage = {
       type: 'system',
       text,
-      timestamp: new Date().toLocaleTimeString()
+      timestamp: new Date().toLocaleTimeString(),
+      time: Date.now()
     };
     
-    this.messages.push(systemMessage);
-    this.trimMessages();
+    this.appendMessage(room, systemMessage);
+    this.trimMessages(room);
     
     // Always render after adding a system message
     this.render();
     
     // Recalculate scroll limits after rendering
-    this.recalculateScrollLimits();
+    this.recalculateScrollLimits(room);
   }
 
-  addErrorMessage(text) {
-    this.messages.push({
+  addErrorMessage(text, roomName) {
+    const room = this.getRoom(roomName);
+    this.appendMessage(room, {
       type: 'error',
       text,
-      timestamp: new Date().toLocaleTimeString()
+      timestamp: new Date().toLocaleTimeString(),
+      time: Date.now()
     });
     
-    this.trimMessages();
+    this.trimMessages(room);
     
     // Auto-scroll to bottom for error messages
-    if (this.messageScrollOffset === 0) {
+    if (room.messageScrollOffset === 0) {
       this.render();
     } else {
-      this.recalculateScrollLimits();
+      this.recalculateScrollLimits(room);
     }
   }
 
-  addInfoMessage(text) {
-    this.messages.push({
+  addInfoMessage(text, roomName) {
+    const room = this.getRoom(roomName);
+    this.appendMessage(room, {
       type: 'info',
       text,
-      timestamp: new Date().toLocaleTimeString()
+      timestamp: new Date().toLocaleTimeString(),
+      time: Date.now()
     });
     
-    this.trimMessages();
+    this.trimMessages(room);
     
     // Auto-scroll to bottom for info messages
-    if (this.messageScrollOffset === 0) {
+    if (room.messageScrollOffset === 0) {
       this.render();
     } else {
-      this.recalculateScrollLimits();
+      this.recalculateScrollLimits(room);
     }
   }
 
-  addUser(username) {
-    this.users.add(username);
+  addUser(username, roomName) {
+    this.getRoom(roomName).users.add(username);
+    this.render();
+  }
+
+  removeUser(username, roomName) {
+    this.getRoom(roomName).users.delete(username);
+    this.render();
+  }
+
+  clearUsers(roomName) {
+    this.getRoom(roomName).users.clear();
+    this.render();
+  }
+
+  setStatus(status, roomName) {
+    this.getRoom(roomName).status = status;
     this.render();
   }
 
-  removeUser(username) {
-    this.users.delete(username);
+  setConnectionState(connection, roomName) {
+    this.getRoom(roomName).connection = connection;
+
+    // Tick once a second while any retry is pending so the countdown stays live
+    const backingOff = Array.from(this.rooms.values())
+      .some(room => room.connection && room.connection.state === 'backing-off');
+    if (backingOff) {
+      if (!this.countdownTimer) {
+        this.countdownTimer = setInterval(() => this.render(), 1000);
+      }
+    } else if (this.countdownTimer) {
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+    }
+
     this.render();
   }
 
-  setStatus(status) {
-    this.status = status;
+  setLatency(latency, roomName) {
+    this.getRoom(roomName).latency = latency;
     this.render();
   }
 
@@ -640,15 +1128,43 @@ export class UserInterface extends EventEmitter {
     this.render();
   }
 
-  trimMessages() {
-    if (this.messages.length > this.maxMessages) {
-      this.messages = this.messages.slice(-this.maxMessages);
+  /**
+   * The room's buffer as history-style entries, for /export. Local-only
+   * lines (command output, errors, pending messages) are left out.
+   */
+  getTranscript(roomName) {
+    return this.getRoom(roomName).messages
+      .filter(msg => msg.type === 'chat' || msg.type === 'system')
+      .map(msg => msg.type === 'chat'
+        ? { type: 'chat', name: msg.name, text: msg.text, timestamp: msg.time }
+        : { type: 'system', text: msg.text, timestamp: msg.time });
+  }
+
+  clearMessages(roomName) {
+    const room = this.getRoom(roomName);
+    room.messages = [];
+    room.messageScrollOffset = 0;
+    room.maxScrollOffset = 0;
+    room.unread = 0;
+    this.render();
+  }
+
+  trimMessages(room = this.getRoom()) {
+    if (room.messages.length > this.maxMessages) {
+      room.messages = room.messages.slice(-this.maxMessages);
     }
   }
 
   cleanup() {
     this.isActive = false;
     this.inputMode = false;
+    clearTimeout(this.renderTimer);
+    this.renderTimer = null;
+    
+    if (this.countdownTimer) {
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+    }
     
     // Release input grabbing
     try {
@@ -1,16 +1,61 @@
 import { WebSocket } from 'ws';
 import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { FrameSchema, PROTOCOL_VERSION } from './FrameSchema.js';
+
+// Connection lifecycle states. Only one reconnect can be pending at a time,
+// which is what keeps the close and error handlers from stacking retries.
+export const ConnectionState = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  BACKING_OFF: 'backing-off',
+  GAVE_UP: 'gave-up',
+  CLOSED: 'closed'
+};
+
+// Outgoing message states: held until the room is ready, sent and waiting
+// for the server's echo, or not echoed within ackTimeout
+export const MessageStatus = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  FAILED: 'failed'
+};
 
 export class WebSocketClient extends EventEmitter {
-  constructor(hostname, wsProtocol) {
+  constructor(endpoint, options = {}) {
     super();
-    this.hostname = hostname;
-    this.wsProtocol = wsProtocol;
+    this.endpoint = endpoint; // ServerEndpoint
     this.ws = null;
     this.connected = false;
+    this.ready = false;
+    this.established = false;
+    this.state = ConnectionState.IDLE;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.reconnectDelay = 5000;
+    this.maxReconnectAttempts = options.maxReconnectAttempts ?? 10;
+    this.reconnectBaseDelay = options.reconnectBaseDelay ?? 1000;
+    this.reconnectMaxDelay = options.reconnectMaxDelay ?? 30000;
+    this.connectTimeout = options.connectTimeout ?? 10000;
+    this.reconnectTimer = null;
+    this.nextRetryAt = null;
+    this.heartbeatInterval = options.heartbeatInterval ?? 15000;
+    this.maxMissedPongs = options.maxMissedPongs ?? 2;
+    this.heartbeatTimer = null;
+    this.lastPingAt = null;
+    this.missedPongs = 0;
+    this.latency = null;
+    this.closeReason = null;
+    this.maxOutboxSize = options.maxOutboxSize ?? 100;
+    this.ackTimeout = options.ackTimeout ?? 10000;
+    // Extra fields for the join handshake; workers-chat ignores anything but `name`
+    this.handshake = options.handshake || {};
+    this.password = options.password || null;
+    this.authFailed = false;
+    // What the server said it supports in its last 'ready' frame
+    this.serverProtocol = null;
+    this.serverFeatures = new Set();
+    // Every message not yet echoed by the server, by client ID, oldest first
+    this.outgoing = new Map();
     this.username = '';
     this.roomname = '';
     // Removed lastSeenTimestamp since we're not using timestamp filtering
@@ -19,115 +64,494 @@ export class WebSocketClient extends EventEmitter {
   async connect(roomname, username) {
     this.roomname = roomname;
     this.username = username;
-
-    let wsUrl = `${this.wsProtocol}//${this.hostname}/api/room/${roomname}/websocket`;
+    this.reconnectAttempts = 0;
+    this.established = false;
 
     try {
-      this.ws = new WebSocket(wsUrl);
-      this.setupEventHandlers();
-      
-      return new Promise((resolve, reject) => {
-        this.ws.once('open', () => {
-          this.connected = true;
-          this.reconnectAttempts = 0;
-          this.emit('connected');
-          this.ws.send(JSON.stringify({ name: username }));
-          resolve();
-        });
-
-        this.ws.once('error', (error) => {
-          reject(error);
-        });
-
-        // Set a timeout for connection
-        setTimeout(() => {
-          if (!this.connected) {
-            reject(new Error('Connection timeout'));
-          }
-        }, 10000);
-      });
+      await this.openSocket();
     } catch (error) {
+      this.setState(ConnectionState.CLOSED);
       this.emit('error', error.message);
       throw error;
     }
   }
 
-  setupEventHandlers() {
-    this.ws.on('message', (data) => {
-      try {
-        const parsedData = JSON.parse(data.toString());
-        this.handleMessage(parsedData);
-      } catch (e) {
-        this.emit('error', `Error parsing message: ${e.message}`);
-      }
+  openSocket() {
+    const wsUrl = this.endpoint.getWebSocketUrl(`/api/room/${this.roomname}/websocket`);
+
+    this.setState(ConnectionState.CONNECTING);
+    this.ready = false;
+
+    const ws = new WebSocket(wsUrl, this.endpoint.getWebSocketOptions());
+    this.ws = ws;
+    this.setupEventHandlers(ws);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (ws.readyState !== WebSocket.OPEN) {
+          reject(new Error('Connection timeout'));
+          // terminate() ends in a 'close' event, which drives the reconnect
+          ws.terminate();
+        }
+      }, this.connectTimeout);
+
+      ws.once('open', () => {
+        clearTimeout(timer);
+        this.connected = true;
+        this.established = true;
+        this.reconnectAttempts = 0;
+        this.setState(ConnectionState.OPEN);
+        this.emit('connected');
+        const handshake = { ...this.handshake, name: this.username, protocol: PROTOCOL_VERSION };
+        if (this.password) handshake.password = this.password;
+        this.sendFrame(ws, handshake);
+        this.startHeartbeat(ws);
+        resolve();
+      });
+
+      // 'error' comes just before 'close' and says why (ENOTFOUND, ECONNREFUSED, ...)
+      let failure = null;
+      ws.once('error', (error) => {
+        failure = error;
+      });
+
+      ws.once('close', () => {
+        clearTimeout(timer);
+        reject(failure || new Error('Connection closed before it was established'));
+      });
     });
+  }
 
-    this.ws.on('close', (code, reason) => {
+  setupEventHandlers(ws) {
+    ws.on('message', (data) => this.receiveFrame(data.toString()));
+
+    ws.on('pong', () => {
+      if (ws !== this.ws || this.lastPingAt === null) return;
+      this.missedPongs = 0;
+      this.latency = Date.now() - this.lastPingAt;
+      this.lastPingAt = null;
+      this.emit('latency', this.latency);
+    });
+
+    ws.on('close', (code, reason) => {
+      // Ignore sockets that have already been replaced by a newer attempt
+      if (ws !== this.ws) return;
+
+      const wasConnected = this.connected;
       this.connected = false;
-      this.emit('disconnected', reason.toString());
-      
-      if (this.reconnectAttempts < this.maxReconnectAttempts) {
+      this.ready = false;
+      this.ws = null;
+      this.stopHeartbeat();
+
+      if (wasConnected) {
+        this.emit('disconnected', this.closeReason || reason.toString());
+      }
+      this.closeReason = null;
+
+      // Retrying with a rejected password would only fail again
+      if (this.authFailed) {
+        this.setState(ConnectionState.GAVE_UP);
+        return;
+      }
+
+      // A failed first attempt is reported by connect() instead of retried
+      if (this.established && this.state !== ConnectionState.CLOSED) {
         this.scheduleReconnect();
       }
     });
 
-    this.ws.on('error', (error) => {
-      this.connected = false;
+    // Reconnects are only scheduled from 'close', which ws always emits after 'error'
+    ws.on('error', (error) => {
+      if (ws !== this.ws) return;
+      // Transport errors only, unlike 'error', which also carries the server's error frames
+      this.emit('socketError', error.message);
       this.emit('error', error.message);
-      
-      if (this.reconnectAttempts < this.maxReconnectAttempts) {
-        this.scheduleReconnect();
-      }
     });
   }
 
+  /**
+   * Every raw frame, in or out, is emitted as 'frame' for protocol traces
+   */
+  sendFrame(ws, frame) {
+    const text = JSON.stringify(frame);
+    ws.send(text);
+    this.emit('frame', 'out', text);
+  }
+
+  receiveFrame(text) {
+    this.emit('frame', 'in', text);
+    let parsedData;
+    try {
+      parsedData = JSON.parse(text);
+    } catch (e) {
+      this.emitDebug('invalid', `Ignored a frame that is not valid JSON (${e.message})`, text);
+      return;
+    }
+    this.handleMessage(parsedData);
+  }
+
   handleMessage(data) {
-    if (data.error) {
+    const { type, problems } = FrameSchema.check(data);
+
+    if (type === 'error') {
+      // Password errors arrive before 'ready' on protected rooms
+      if (!this.ready && this.isAuthError(data.error)) {
+        this.authFailed = true;
+        this.closeReason = 'Password rejected';
+        this.emit('authFailed', data.error);
+      }
       this.emit('error', data.error);
-    } else if (data.joined) {
+    } else if (type === 'joined') {
       this.emit('userJoined', data.joined);
-    } else if (data.quit) {
+    } else if (type === 'quit') {
       this.emit('userLeft', data.quit);
-    } else if (data.ready) {
+    } else if (type === 'ready') {
+      this.ready = true;
+      this.checkCapabilities(data);
       // Emit ready event separately from regular messages
       this.emit('ready', data);
-    } else if (data.name && data.message) {
+      this.flushOutbox();
+    } else if (type === 'message') {
       // Always emit chat messages, don't filter by timestamp
       // The timestamp filtering was causing messages to be dropped
-      this.emit('message', data);
+      this.emit('message', data, this.matchEcho(data));
+    } else if (type === 'unknown') {
+      // Possibly something a newer server sends; pass it on rather than lose it
+      this.emitDebug('unknown', 'Received a frame of unknown type', data);
+    } else {
+      this.emitDebug('invalid', `Ignored an invalid frame: ${problems.join('; ')}`, data);
+    }
+  }
+
+  /**
+   * Debug events carry frames the client could not use: kind is 'unknown',
+   * 'invalid' or 'protocol'
+   */
+  emitDebug(kind, message, frame = null) {
+    this.emit('debug', { kind, message, frame, room: this.roomname });
+  }
+
+  /**
+   * Servers announce their protocol version and optional features in 'ready'.
+   * Without them this is plain workers-chat: version 1, no extras.
+   */
+  checkCapabilities(data) {
+    this.serverProtocol = data.protocol ?? 1;
+    this.serverFeatures = new Set(data.features || []);
+    if (this.serverProtocol > PROTOCOL_VERSION) {
+      this.emitDebug('protocol', `Server speaks protocol ${this.serverProtocol}, this client ${PROTOCOL_VERSION}; features it doesn't know stay off`, data);
     }
   }
 
+  /**
+   * Whether the server listed this feature when the room became ready
+   */
+  supports(feature) {
+    return this.serverFeatures.has(feature);
+  }
+
+  isAuthError(message) {
+    return /password|unauthori[sz]ed|forbidden|authenticat/i.test(String(message));
+  }
+
+  setPassword(password) {
+    this.password = password || null;
+    this.authFailed = false;
+  }
+
+  /**
+   * Ping the server periodically. A socket that misses maxMissedPongs
+   * pongs in a row is treated as dead, even if TCP still thinks it is open.
+   */
+  startHeartbeat(ws) {
+    this.stopHeartbeat();
+
+    this.heartbeatTimer = setInterval(() => {
+      if (this.lastPingAt !== null) {
+        this.missedPongs++;
+        if (this.missedPongs >= this.maxMissedPongs) {
+          this.closeReason = `Server stopped responding (${this.missedPongs} missed heartbeats)`;
+          // terminate() skips the closing handshake, which a half-open socket would never finish
+          ws.terminate();
+          return;
+        }
+      }
+
+      this.lastPingAt = Date.now();
+      try {
+        ws.ping();
+      } catch (error) {
+        // The socket is closing; the close handler takes it from here
+      }
+    }, this.heartbeatInterval);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.lastPingAt = null;
+    this.missedPongs = 0;
+    this.latency = null;
+  }
+
+  getLatency() {
+    return this.latency;
+  }
+
+  /**
+   * Delay before the next attempt: exponential growth capped at
+   * reconnectMaxDelay, with "equal jitter" so clients don't retry in lockstep
+   */
+  getReconnectDelay(attempt) {
+    const exponential = Math.min(this.reconnectMaxDelay, this.reconnectBaseDelay * 2 ** (attempt - 1));
+    const half = exponential / 2;
+    return Math.round(half + Math.random() * half);
+  }
+
   scheduleReconnect() {
+    if (this.reconnectTimer || this.state === ConnectionState.CLOSED) {
+      return;
+    }
+
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      this.setState(ConnectionState.GAVE_UP);
+      this.emit('gaveUp', this.reconnectAttempts);
+      return;
+    }
+
     this.reconnectAttempts++;
-    this.emit('reconnecting', this.reconnectAttempts);
-    
-    setTimeout(() => {
-      if (!this.connected) {
-        this.connect(this.roomname, this.username);
-      }
-    }, this.reconnectDelay);
+    const delay = this.getReconnectDelay(this.reconnectAttempts);
+    this.nextRetryAt = Date.now() + delay;
+    this.setState(ConnectionState.BACKING_OFF);
+    this.emit('reconnecting', this.reconnectAttempts, delay);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.nextRetryAt = null;
+      // Failures surface through the socket's 'close' handler, which reschedules
+      this.openSocket().catch(() => {});
+    }, delay);
   }
 
-  sendMessage(message) {
-    if (this.connected && this.ws) {
-      this.ws.send(JSON.stringify({ message: message }));
+  /**
+   * Drop the current socket (if any) and connect again right away, e.g. to
+   * redo the name handshake or to retry after the client gave up
+   */
+  reconnect(reason = 'Reconnecting') {
+    this.authFailed = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.nextRetryAt = null;
+    this.reconnectAttempts = 0;
+    this.stopHeartbeat();
+
+    if (this.ws) {
+      // Detach first so the old socket's close doesn't schedule a backoff
+      const ws = this.ws;
+      this.ws = null;
+      ws.close();
+    }
+
+    if (this.connected) {
+      this.connected = false;
+      this.emit('disconnected', reason);
+    }
+
+    this.established = true;
+    return this.openSocket();
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.emit('stateChange', this.getConnectionInfo());
+  }
+
+  getConnectionInfo() {
+    return {
+      state: this.state,
+      attempt: this.reconnectAttempts,
+      maxAttempts: this.maxReconnectAttempts,
+      nextRetryAt: this.nextRetryAt,
+      queued: this.getQueuedMessages().length
+    };
+  }
+
+  /**
+   * Send a chat message, or hold it in the outbox until the room handshake
+   * completes. Returns the message's client ID (one is made up if not
+   * given), or null if the outbox is full. 'acked' or 'sendFailed' follows.
+   */
+  sendMessage(message, id = randomUUID()) {
+    const canSend = this.isConnected() && this.ready;
+    if (!canSend && this.getQueuedMessages().length >= this.maxOutboxSize) {
+      this.emit('error', `Outbox full (${this.maxOutboxSize} messages), message not queued`);
+      return null;
+    }
+
+    const entry = { id, text: message, status: MessageStatus.QUEUED, timer: null };
+    this.outgoing.set(id, entry);
+    if (canSend) {
+      this.transmit(entry);
     } else {
-      this.emit('error', 'Not connected to chat room');
+      this.emit('queued', id, this.getQueuedMessages().length);
     }
+    return id;
+  }
+
+  transmit(entry) {
+    const frame = { message: entry.text };
+    // Servers with the messageIds feature echo the ID back; others would drop it anyway
+    if (this.supports('messageIds')) frame.id = entry.id;
+    this.sendFrame(this.ws, frame);
+
+    entry.status = MessageStatus.SENDING;
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      entry.status = MessageStatus.FAILED;
+      this.emit('sendFailed', entry.id, entry.text);
+    }, this.ackTimeout);
+  }
+
+  /**
+   * Find the outgoing message a chat frame confirms and return its client ID,
+   * or null. An echoed ID is exact. Otherwise it is the oldest message sent
+   * with the same name and text, whether still in flight or already marked
+   * failed, since the server echoes a socket's messages in the order they
+   * were sent. The backlog replayed before 'ready' is only matched by ID, as
+   * it may hold older messages of ours.
+   */
+  matchEcho(data) {
+    let entry = null;
+    if (typeof data.id === 'string') {
+      entry = this.outgoing.get(data.id) || null;
+    } else if (this.ready && data.name === this.username) {
+      entry = [...this.outgoing.values()].find(candidate =>
+        candidate.status !== MessageStatus.QUEUED && candidate.text === data.message
+      ) || null;
+    }
+    if (!entry) return null;
+
+    // A failed message that turns up late still counts as delivered
+    clearTimeout(entry.timer);
+    this.outgoing.delete(entry.id);
+    this.emit('acked', entry.id, data);
+    return entry.id;
+  }
+
+  flushOutbox() {
+    const queued = [...this.outgoing.values()].filter(entry => entry.status === MessageStatus.QUEUED);
+    if (queued.length === 0) return;
+
+    for (const entry of queued) {
+      this.transmit(entry);
+    }
+
+    this.emit('flushed', queued.map(entry => entry.id));
+  }
+
+  /**
+   * Send a failed message again, with the same client ID. It moves behind
+   * the other outgoing messages. Returns false if there is no such message.
+   */
+  resend(id) {
+    const entry = this.outgoing.get(id);
+    if (!entry || entry.status !== MessageStatus.FAILED) return false;
+
+    this.outgoing.delete(id);
+    this.outgoing.set(id, entry);
+    entry.status = MessageStatus.QUEUED;
+    if (this.isConnected() && this.ready) {
+      this.transmit(entry);
+    } else {
+      this.emit('queued', id, this.getQueuedMessages().length);
+    }
+    return true;
+  }
+
+  /**
+   * Give up on a failed message
+   */
+  discard(id) {
+    const entry = this.outgoing.get(id);
+    if (!entry || entry.status !== MessageStatus.FAILED) return false;
+    this.outgoing.delete(id);
+    return true;
+  }
+
+  getQueuedMessages() {
+    return [...this.outgoing.values()].filter(entry => entry.status === MessageStatus.QUEUED).map(entry => entry.text);
+  }
+
+  getFailedMessages() {
+    return [...this.outgoing.values()]
+      .filter(entry => entry.status === MessageStatus.FAILED)
+      .map(({ id, text }) => ({ id, text }));
   }
 
   disconnect() {
+    this.setState(ConnectionState.CLOSED);
     this.connected = false;
-    this.reconnectAttempts = this.maxReconnectAttempts; // Prevent reconnection
-    
+    this.ready = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.nextRetryAt = null;
+    this.stopHeartbeat();
+    for (const entry of this.outgoing.values()) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+
     if (this.ws) {
-      this.ws.close();
+      const ws = this.ws;
       this.ws = null;
+      ws.close();
     }
   }
 
   isConnected() {
     return this.connected && this.ws && this.ws.readyState === WebSocket.OPEN;
   }
-} 
\ No newline at end of file
+
+  /**
+   * Play one record of a TraceRecorder trace as if it were happening now.
+   * Inbound frames go through the same parsing and handleMessage as live
+   * ones; nothing is ever sent.
+   */
+  replayRecord(record) {
+    switch (record.type) {
+      case 'in':
+        this.receiveFrame(record.data);
+        break;
+      case 'state':
+        this.reconnectAttempts = record.attempt ?? 0;
+        this.nextRetryAt = record.retryIn !== null && record.retryIn !== undefined ? Date.now() + record.retryIn : null;
+        this.setState(record.state);
+        break;
+      case 'connected':
+        this.connected = true;
+        this.emit('connected');
+        break;
+      case 'disconnected':
+        this.connected = false;
+        this.ready = false;
+        this.emit('disconnected', record.reason);
+        break;
+      case 'reconnecting':
+        this.maxReconnectAttempts = record.maxAttempts ?? this.maxReconnectAttempts;
+        this.emit('reconnecting', record.attempt, record.delay);
+        break;
+      case 'gaveUp':
+        this.emit('gaveUp', record.attempts);
+        break;
+      case 'latency':
+        this.latency = record.latency;
+        this.emit('latency', record.latency);
+        break;
+      case 'socketError':
+        this.emit('error', record.message);
+        break;
+    }
+  }
+}
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandRegistry } from '../src/CommandRegistry.js';
+import { registerChatCommands } from '../src/ChatCommands.js';
+
+// Commands run against a stand-in for ChatApp that records what they did.
+// `answer` is what the masked password prompt returns (null for ESC).
+function createRegistry(answer = null) {
+  const calls = { prompts: [], passwords: [], info: [] };
+  const app = {
+    ui: {
+      promptSecret: async (label) => {
+        calls.prompts.push(label);
+        return answer;
+      },
+      addInfoMessage: text => calls.info.push(text)
+    },
+    setRoomPassword: async (room, password, save) => calls.passwords.push({ room, password, save })
+  };
+  return { registry: registerChatCommands(new CommandRegistry(), app), calls };
+}
+
+test('/password with no argument asks for it with a masked prompt', async () => {
+  const { registry, calls } = createRegistry('hunter2');
+  await registry.execute('/password', { room: 'ops' });
+  assert.deepEqual(calls.prompts, ['Password for #ops']);
+  assert.deepEqual(calls.passwords, [{ room: 'ops', password: 'hunter2', save: false }]);
+});
+
+test('/password save asks for it and remembers it', async () => {
+  const { registry, calls } = createRegistry('hunter2');
+  await registry.execute('/password save', { room: 'ops' });
+  assert.deepEqual(calls.passwords, [{ room: 'ops', password: 'hunter2', save: true }]);
+});
+
+test('cancelling the prompt leaves the password alone', async () => {
+  const { registry, calls } = createRegistry(null);
+  await registry.execute('/password', { room: 'ops' });
+  assert.deepEqual(calls.passwords, []);
+  assert.deepEqual(calls.info, ['Password not changed']);
+});
+
+test('a password given inline is used without asking', async () => {
+  const { registry, calls } = createRegistry();
+  await registry.execute('/password hunter2 save', { room: 'ops' });
+  assert.deepEqual(calls.prompts, []);
+  assert.deepEqual(calls.passwords, [{ room: 'ops', password: 'hunter2', save: true }]);
+  await assert.rejects(registry.execute('/password hunter2 later', { room: 'ops' }), /Usage: \/password \[password\] \[save\]/);
+});
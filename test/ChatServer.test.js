@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { ChatServer } from '../src/ChatServer.js';
+
+// Send a raw request and collect everything the server answers until it hangs up
+function request(port, text) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(text));
+    let data = '';
+    socket.on('data', (chunk) => { data += chunk; });
+    socket.on('close', () => resolve(data));
+    socket.on('error', reject);
+  });
+}
+
+async function withServer(run) {
+  const server = new ChatServer();
+  const { port } = await server.listen(0, '127.0.0.1');
+  try {
+    await run(port);
+  } finally {
+    await server.close();
+  }
+}
+
+const createRoom = port => request(port, 'POST /api/room HTTP/1.1\r\nHost: x\r\nConnection: close\r\nContent-Length: 15\r\n\r\n{"name":"ok12"}');
+
+test('a websocket request with a malformed escape is refused and the server stays up', async () => {
+  await withServer(async (port) => {
+    const response = await request(port, [
+      'GET /api/room/%E0%A4%A/websocket HTTP/1.1',
+      'Host: x',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+      'Sec-WebSocket-Version: 13',
+      '', ''
+    ].join('\r\n'));
+    assert.match(response, /^HTTP\/1\.1 400 /);
+    assert.match(await createRoom(port), /^HTTP\/1\.1 200 /);
+  });
+});
+
+test('a request line that is not a URL gets an error response', async () => {
+  await withServer(async (port) => {
+    assert.match(await request(port, 'GET //[ HTTP/1.1\r\nHost: x\r\nConnection: close\r\n\r\n'), /^HTTP\/1\.1 500 /);
+    assert.match(await createRoom(port), /^HTTP\/1\.1 200 /);
+  });
+});
+
+test('a request body over 64 KB is refused with 413', async () => {
+  await withServer(async (port) => {
+    const body = 'x'.repeat(70 * 1024);
+    const response = await request(port, `POST /api/room HTTP/1.1\r\nHost: x\r\nContent-Length: ${body.length}\r\n\r\n${body}`);
+    assert.match(response, /^HTTP\/1\.1 413 /);
+    assert.match(response, /Connection: close/i);
+  });
+});
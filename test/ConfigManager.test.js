@@ -0,0 +1,144 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { ConfigManager } from '../src/ConfigManager.js';
+
+// Each test gets its own home for ~/.bizchat and its own project directory
+let root;
+let home;
+let project;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'bizchat-config-'));
+  home = path.join(root, 'home');
+  project = path.join(root, 'project', 'sub');
+  fs.mkdirSync(home);
+  fs.mkdirSync(project, { recursive: true });
+  process.env.HOME = home;
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function createManager() {
+  const manager = new ConfigManager({ env: {}, cwd: project });
+  manager.warnings = [];
+  manager.warnOnce = message => manager.warnings.push(message);
+  return manager;
+}
+
+function writeProjectFile(contents) {
+  fs.writeFileSync(path.join(project, '..', '.bizchatrc'), contents);
+}
+
+test('a .bizchatrc in a parent directory sets rooms and display settings', () => {
+  writeProjectFile(JSON.stringify({ room: 'deploys', historyLines: 5, richText: false }));
+  const manager = createManager();
+  assert.equal(manager.getConfig('room'), 'deploys');
+  assert.equal(manager.getConfig('historyLines'), 5);
+  assert.equal(manager.getConfig('richText'), false);
+  assert.match(manager.resolveConfig('room').source, /^project /);
+});
+
+test('a .bizchatrc cannot set the host, proxy or TLS settings', () => {
+  writeProjectFile(JSON.stringify({ host: 'evil.example.com', proxy: 'http://evil:8080', insecure: true, caFile: '/tmp/evil.pem' }));
+  const manager = createManager();
+  assert.equal(manager.getConfig('host'), 'https://biz-chat-server.sreeragh-bizmo.workers.dev');
+  assert.equal(manager.getConfig('proxy'), null);
+  assert.equal(manager.getConfig('insecure'), false);
+  assert.equal(manager.getConfig('caFile'), null);
+  assert.equal(manager.warnings.length, 4);
+});
+
+test('a .bizchatrc that is not a JSON object is ignored with a warning', () => {
+  for (const contents of ['null', '42', '["room"]']) {
+    writeProjectFile(contents);
+    const manager = createManager();
+    assert.equal(manager.getConfig('room'), null, contents);
+    assert.match(manager.warnings[0], /not a JSON object/, contents);
+  }
+});
+
+test('an async update waits for a lock held by another process without blocking the event loop', async () => {
+  const manager = createManager();
+  // A lock taken by a process that is still running
+  fs.writeFileSync(manager.lockFile, String(process.ppid));
+
+  let ticks = 0;
+  const ticker = setInterval(() => { ticks++; }, 10);
+  const update = manager.updateConfigAsync((config) => { config.room = 'general'; });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.ok(ticks >= 3, 'timers kept running while waiting for the lock');
+
+  fs.unlinkSync(manager.lockFile);
+  assert.equal(await update, true);
+  clearInterval(ticker);
+  assert.equal(manager.getConfig('room'), 'general');
+  assert.equal(fs.existsSync(manager.lockFile), false);
+});
+
+test('a lock left by a process that has exited is taken over', () => {
+  const manager = createManager();
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  fs.writeFileSync(manager.lockFile, String(pid));
+
+  assert.equal(manager.setConfig('room', 'general'), true);
+  assert.equal(manager.getConfig('room'), 'general');
+  assert.equal(fs.existsSync(manager.lockFile), false);
+});
+
+test('a lock held by a running process times out instead of waiting forever', async () => {
+  const manager = createManager();
+  fs.writeFileSync(manager.lockFile, String(process.ppid));
+
+  await assert.rejects(manager.updateConfigAsync((config) => { config.room = 'general'; }), /Timed out waiting for/);
+  assert.equal(fs.readFileSync(manager.lockFile, 'utf8'), String(process.ppid));
+});
+
+test('files from before versioning are migrated to typed values', () => {
+  const manager = createManager();
+  fs.writeFileSync(manager.configFile, JSON.stringify({
+    historyLines: '20',
+    profiles: { work: { reconnectMaxDelay: '5', richText: 'off' } }
+  }));
+
+  const config = manager.loadConfig();
+  assert.equal(config.historyLines, 20);
+  assert.deepEqual(config.profiles.work, { reconnectMaxDelay: 5, richText: false });
+
+  manager.setConfig('room', 'general');
+  assert.equal(JSON.parse(fs.readFileSync(manager.configFile, 'utf8')).version, 1);
+});
+
+test('a file from a newer version is read as it is, with a warning', () => {
+  const manager = createManager();
+  fs.writeFileSync(manager.configFile, JSON.stringify({ version: 99, room: 'general' }));
+  assert.equal(manager.getConfig('room'), 'general');
+  assert.match(manager.warnings[0], /newer version/);
+});
+
+test('a corrupt config file is set aside and the backup restored', () => {
+  const manager = createManager();
+  manager.setConfig('room', 'general');
+  manager.setConfig('historyLines', 10); // Backs up the file holding the room
+  fs.writeFileSync(manager.configFile, '{"room": "gen');
+
+  assert.equal(manager.getConfig('room'), 'general');
+  assert.equal(manager.getConfig('historyLines'), 50);
+  assert.match(manager.warnings[0], /Restored the last good copy/);
+  const corrupt = fs.readdirSync(manager.configDir).filter(name => name.startsWith('config.json.corrupt-'));
+  assert.equal(corrupt.length, 1);
+  assert.equal(fs.readFileSync(path.join(manager.configDir, corrupt[0]), 'utf8'), '{"room": "gen');
+});
+
+test('a corrupt config file with no backup starts over empty', () => {
+  const manager = createManager();
+  fs.writeFileSync(manager.configFile, 'not json');
+
+  assert.deepEqual(manager.loadConfig(), {});
+  assert.match(manager.warnings[0], /Starting with empty settings/);
+});
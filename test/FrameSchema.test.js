@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FrameSchema } from '../src/FrameSchema.js';
+
+test('well-formed frames of every kind are recognized', () => {
+  assert.deepEqual(FrameSchema.check({ name: 'alice', message: 'hi', timestamp: 1700000000000 }), { type: 'message', problems: [] });
+  assert.deepEqual(FrameSchema.check({ name: 'alice', message: 'hi', timestamp: 1, id: 'c1' }), { type: 'message', problems: [] });
+  assert.deepEqual(FrameSchema.check({ joined: 'bob' }), { type: 'joined', problems: [] });
+  assert.deepEqual(FrameSchema.check({ quit: 'bob' }), { type: 'quit', problems: [] });
+  assert.deepEqual(FrameSchema.check({ error: 'Incorrect password.' }), { type: 'error', problems: [] });
+  assert.deepEqual(FrameSchema.check({ ready: true }), { type: 'ready', problems: [] });
+  assert.deepEqual(FrameSchema.check({ ready: true, protocol: 1, features: ['passwords'] }), { type: 'ready', problems: [] });
+});
+
+test('extra fields are allowed, so servers can add to a frame', () => {
+  assert.equal(FrameSchema.check({ joined: 'bob', avatar: 'b.png' }).type, 'joined');
+});
+
+test('frames with fields of two kinds are ambiguous', () => {
+  const result = FrameSchema.check({ joined: 'bob', quit: 'bob' });
+  assert.equal(result.type, 'invalid');
+  assert.deepEqual(result.problems, ['ambiguous frame: has fields of joined and quit frames']);
+  assert.equal(FrameSchema.check({ name: 'a', message: 'b', error: 'c' }).type, 'invalid');
+});
+
+test('frames with none of the known fields are unknown rather than invalid', () => {
+  assert.deepEqual(FrameSchema.check({ typing: 'alice' }), { type: 'unknown', problems: [] });
+  assert.deepEqual(FrameSchema.check({}), { type: 'unknown', problems: [] });
+});
+
+test('missing and mistyped fields are reported', () => {
+  assert.deepEqual(FrameSchema.check({ name: 'alice' }).problems, ['message frame is missing "message"']);
+  assert.deepEqual(FrameSchema.check({ name: 'alice', message: 5 }).problems, ['"message" must be a string, not number']);
+  assert.deepEqual(FrameSchema.check({ name: 'a', message: 'b', timestamp: Infinity }).problems, ['"timestamp" must be a number, not number']);
+  assert.deepEqual(FrameSchema.check({ ready: 'yes' }).problems, ['"ready" must be true, not "yes"']);
+  assert.deepEqual(FrameSchema.check({ ready: true, protocol: 0 }).problems, ['"protocol" must be a positive whole number, not number']);
+  assert.deepEqual(FrameSchema.check({ ready: true, features: ['a', 1] }).problems, ['"features" must be a list of strings, not a list']);
+  assert.deepEqual(FrameSchema.check({ joined: null }).problems, ['"joined" must be a string, not null']);
+});
+
+test('anything but an object is invalid', () => {
+  for (const [frame, what] of [[null, 'null'], [[], 'a list'], ['hello', '"hello"'], [42, 'number']]) {
+    assert.deepEqual(FrameSchema.check(frame), { type: 'invalid', problems: [`frame must be a JSON object, not ${what}`] });
+  }
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LinkFinder } from '../src/LinkFinder.js';
+
+const found = text => LinkFinder.find(text).map(link => link.text);
+
+test('sentence punctuation after a link is left out of it', () => {
+  assert.deepEqual(found('see https://a.b/c. and https://a.b/d?!'), ['https://a.b/c', 'https://a.b/d']);
+  assert.deepEqual(found('https://a.b/c?q=1,'), ['https://a.b/c?q=1']);
+});
+
+test('underscores, asterisks and tildes at the end stay part of the link', () => {
+  assert.deepEqual(found('https://x.com/a_ https://x.com/b* https://x.com/~c~'), ['https://x.com/a_', 'https://x.com/b*', 'https://x.com/~c~']);
+});
+
+test('closing brackets and quotes are dropped only when the link does not open them', () => {
+  assert.deepEqual(found('(see https://a.b/c).'), ['https://a.b/c']);
+  assert.deepEqual(found('https://en.wikipedia.org/wiki/Tree_(graph_theory)'), ['https://en.wikipedia.org/wiki/Tree_(graph_theory)']);
+  assert.deepEqual(found('“https://a.b/c”, [https://a.b/d]'), ['https://a.b/c', 'https://a.b/d']);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProxyResolver } from '../src/ProxyResolver.js';
+
+const matches = (pattern, host, port = '443') => ProxyResolver.matchesNoProxy(pattern, host, port);
+
+test('a NO_PROXY domain covers itself and its subdomains, but not lookalikes', () => {
+  assert.equal(matches('example.com', 'example.com'), true);
+  assert.equal(matches('example.com', 'chat.example.com'), true);
+  assert.equal(matches('example.com', 'badexample.com'), false);
+  assert.equal(matches('example.com', 'example.com.evil.net'), false);
+  assert.equal(matches('EXAMPLE.com', 'Chat.Example.COM'), true);
+});
+
+test('leading dots and *. mean the same as the bare domain', () => {
+  for (const pattern of ['.example.com', '*.example.com']) {
+    assert.equal(matches(pattern, 'chat.example.com'), true, pattern);
+    assert.equal(matches(pattern, 'example.com'), true, pattern);
+    assert.equal(matches(pattern, 'notexample.com'), false, pattern);
+  }
+});
+
+test('an entry with a port only covers that port', () => {
+  assert.equal(matches('localhost:8787', 'localhost', '8787'), true);
+  assert.equal(matches('localhost:8787', 'localhost', '443'), false);
+  assert.equal(matches('[::1]:8787', '[::1]', '8787'), true);
+  assert.equal(matches('::1', '[::1]'), true);
+});
+
+test('* and IP addresses', () => {
+  assert.equal(matches('*', 'anything.example'), true);
+  assert.equal(matches('10.0.0.5', '10.0.0.5'), true);
+  assert.equal(matches('10.0.0.5', '10.0.0.50'), false);
+});
+
+test('NO_PROXY and the noProxy setting both bypass the proxy, with the default port of the scheme', () => {
+  const resolver = new ProxyResolver({
+    noProxy: 'internal.example',
+    env: { HTTPS_PROXY: 'http://proxy:3128', no_proxy: 'localhost:443, .corp.example' }
+  });
+
+  assert.deepEqual(resolver.resolve('wss://chat.internal.example/ws').bypass, { pattern: 'internal.example', source: 'noProxy' });
+  assert.deepEqual(resolver.resolve('wss://localhost/ws').bypass, { pattern: 'localhost:443', source: 'NO_PROXY' });
+  assert.equal(resolver.resolve('wss://a.corp.example/ws').proxy, null);
+  assert.equal(resolver.resolve('https://chat.example.com/').proxy.href, 'http://proxy:3128/');
+  assert.match(resolver.describeRoute('wss://a.corp.example/ws'), /^direct \(NO_PROXY matches "\.corp\.example"\)$/);
+});
+
+test('NO_PROXY also applies to a proxy given with --proxy', () => {
+  const resolver = new ProxyResolver({ proxy: 'socks5://proxy:1080', env: { NO_PROXY: 'localhost' } });
+  assert.equal(resolver.resolve('ws://localhost:8787/').proxy, null);
+  assert.equal(resolver.resolve('wss://chat.example.com/').proxy.protocol, 'socks5:');
+});
@@ -0,0 +1,67 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { RoomDirectory } from '../src/RoomDirectory.js';
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bizchat-rooms-'));
+  file = path.join(dir, 'rooms.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('favorites and recent rooms are kept per host', async () => {
+  const directory = new RoomDirectory('chat.example.com', { file });
+  assert.equal(directory.addFavorite('ops'), true);
+  assert.equal(directory.addFavorite('ops'), false);
+  assert.equal(await directory.recordVisit('general'), true);
+  assert.equal(new RoomDirectory('other.example.com', { file }).getRoomNames().length, 0);
+
+  const reopened = new RoomDirectory('chat.example.com', { file });
+  assert.deepEqual(reopened.getRoomNames(), ['ops', 'general']);
+  assert.equal(reopened.removeFavorite('ops'), true);
+  assert.deepEqual(reopened.getFavorites(), []);
+  assert.deepEqual(fs.readdirSync(dir), ['rooms.json']);
+});
+
+test('processes adding favorites at the same time keep each other\'s changes', async () => {
+  const module = new URL('../src/RoomDirectory.js', import.meta.url).href;
+  const rooms = ['one', 'two', 'three', 'four', 'five'];
+  await Promise.all(rooms.map(room => new Promise((resolve, reject) => {
+    const script = `import { RoomDirectory } from ${JSON.stringify(module)};
+      const directory = new RoomDirectory('chat.example.com', { file: ${JSON.stringify(file)} });
+      for (let i = 0; i < 20; i++) {
+        directory.addFavorite('${room}-' + i);
+      }`;
+    spawn(process.execPath, ['--input-type=module', '-e', script], { stdio: 'inherit' })
+      .on('error', reject)
+      .on('exit', code => (code === 0 ? resolve() : reject(new Error(`exited with ${code}`))));
+  })));
+
+  const favorites = new RoomDirectory('chat.example.com', { file }).getFavorites();
+  assert.equal(favorites.length, rooms.length * 20);
+});
+
+test('recording a visit waits for the lock without blocking the event loop', async () => {
+  const directory = new RoomDirectory('chat.example.com', { file });
+  fs.writeFileSync(`${file}.lock`, String(process.ppid));
+
+  let ticks = 0;
+  const ticker = setInterval(() => { ticks++; }, 10);
+  const visit = directory.recordVisit('general');
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.ok(ticks >= 3, 'timers kept running while waiting for the lock');
+
+  fs.unlinkSync(`${file}.lock`);
+  assert.equal(await visit, true);
+  clearInterval(ticker);
+  assert.deepEqual(directory.getRecent().map(room => room.name), ['general']);
+});
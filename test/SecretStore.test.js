@@ -0,0 +1,93 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { SecretStore } from '../src/SecretStore.js';
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bizchat-secrets-'));
+  file = path.join(dir, 'secrets.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const createStore = (env = {}) => new SecretStore({ file, env });
+
+test('secrets saved with a passphrase come back with the same passphrase', () => {
+  const store = createStore();
+  store.unlock('correct horse');
+  store.set('chat.example.com', 'ops', 'hunter2');
+
+  const reopened = createStore();
+  reopened.unlock('correct horse');
+  assert.equal(reopened.get('chat.example.com', 'ops'), 'hunter2');
+  assert.deepEqual(reopened.list().map(({ host, room }) => `${host}/${room}`), ['chat.example.com/ops']);
+});
+
+test('the file holds neither room names nor passwords in the clear, and only its owner can read it', () => {
+  const store = createStore();
+  store.unlock('correct horse');
+  store.set('chat.example.com', 'ops', 'hunter2');
+
+  const contents = fs.readFileSync(file, 'utf8');
+  assert.doesNotMatch(contents, /ops|hunter2|chat\.example\.com/);
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+});
+
+test('a wrong passphrase is refused and leaves the store locked', () => {
+  const store = createStore();
+  store.unlock('correct horse');
+  store.set('chat.example.com', 'ops', 'hunter2');
+
+  const reopened = createStore();
+  assert.throws(() => reopened.unlock('battery staple'), /wrong passphrase or key/);
+  assert.equal(reopened.isUnlocked(), false);
+  assert.throws(() => reopened.get('chat.example.com', 'ops'), /locked/);
+});
+
+test('a tampered file does not decrypt', () => {
+  const store = createStore();
+  store.unlock('correct horse');
+  store.set('chat.example.com', 'ops', 'hunter2');
+
+  const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const data = Buffer.from(stored.data, 'base64');
+  data[0] ^= 1;
+  fs.writeFileSync(file, JSON.stringify({ ...stored, data: data.toString('base64') }));
+  assert.throws(() => createStore().unlock('correct horse'), /Could not decrypt/);
+});
+
+test('BIZCHAT_SECRETS_KEY unlocks without a passphrase and must be 32 bytes', () => {
+  const key = crypto.randomBytes(32).toString('hex');
+  const store = createStore({ BIZCHAT_SECRETS_KEY: key });
+  store.unlock();
+  store.set('chat.example.com', 'ops', 'hunter2');
+  assert.equal(createStore({ BIZCHAT_SECRETS_KEY: key }).unlock(), true);
+
+  assert.throws(() => createStore({ BIZCHAT_SECRETS_KEY: 'abcd' }).unlock(), /must be 32 bytes/);
+  assert.throws(() => createStore({ BIZCHAT_SECRETS_KEY: crypto.randomBytes(32).toString('hex') }).unlock(), /wrong passphrase or key/);
+});
+
+test('unlockWith asks again after a wrong passphrase', async () => {
+  const store = createStore();
+  store.unlock('correct horse');
+  store.set('chat.example.com', 'ops', 'hunter2');
+
+  const answers = ['battery staple', 'correct horse'];
+  const messages = [];
+  const prompt = async ([question]) => {
+    messages.push(question.message);
+    return { passphrase: answers.shift() };
+  };
+  const reopened = createStore();
+  assert.equal(await reopened.unlockWith(prompt), true);
+  assert.equal(reopened.get('chat.example.com', 'ops'), 'hunter2');
+  assert.deepEqual(messages, ['Secrets store passphrase:', 'Wrong passphrase. Secrets store passphrase:']);
+});
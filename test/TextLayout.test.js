@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextLayout } from '../src/TextLayout.js';
+
+test('CJK and Hangul take two cells, halfwidth katakana one', () => {
+  assert.equal(TextLayout.width('漢字'), 4);
+  assert.equal(TextLayout.width('한국어'), 6);
+  assert.equal(TextLayout.width('ｶﾀｶﾅ'), 4);
+});
+
+test('an emoji takes two cells however many code points it is made of', () => {
+  assert.equal(TextLayout.width('😀'), 2);
+  assert.equal(TextLayout.width('👨‍👩‍👧'), 2); // ZWJ sequence
+  assert.equal(TextLayout.width('👍🏽'), 2); // Skin tone modifier
+  assert.equal(TextLayout.width('🇯🇵'), 2); // Flag
+  assert.equal(TextLayout.width('⚠️'), 2); // ⚠ with emoji presentation
+  assert.equal(TextLayout.width('⚠'), 1);
+});
+
+test('combining marks, zero-width characters and escapes take no room', () => {
+  assert.equal(TextLayout.width('e\u0301'), 1);
+  assert.equal(TextLayout.width('a\u200bb'), 2);
+  assert.equal(TextLayout.width('\u001b[1mhi\u001b[0m'), 2);
+  assert.equal(TextLayout.width('\u001b]8;;https://a.b\u001b\\link\u001b]8;;\u001b\\'), 4);
+});
+
+test('truncating never splits a wide character or a grapheme', () => {
+  assert.equal(TextLayout.truncate('漢字漢字', 5), '漢字…');
+  assert.equal(TextLayout.truncate('👨‍👩‍👧👨‍👩‍👧x', 4), '👨‍👩‍👧…');
+  assert.equal(TextLayout.truncate('short', 10), 'short');
+  assert.equal(TextLayout.truncate('\u001b[1mbold text\u001b[0m', 5), '\u001b[1mbold…\u001b[0m');
+});
+
+test('wrapping measures by cells and breaks long words between graphemes', () => {
+  assert.deepEqual(TextLayout.wrap('漢字漢字漢字', 5), ['漢字', '漢字', '漢字']);
+  assert.deepEqual(TextLayout.wrap('ab 👨‍👩‍👧👨‍👩‍👧👨‍👩‍👧', 5), ['ab 👨‍👩‍👧', '👨‍👩‍👧👨‍👩‍👧']);
+  for (const line of TextLayout.wrap('日本語のテキストを折り返す', 7)) {
+    assert.ok(TextLayout.width(line) <= 7, line);
+  }
+});
+
+test('wrapped lines carry the indent and the styles in force', () => {
+  assert.deepEqual(TextLayout.wrap('one two three', 7, { first: '> ', indent: '  ' }), ['> one', '  two', '  three']);
+  assert.deepEqual(TextLayout.wrap('\u001b[31mred text here\u001b[0m', 5), ['\u001b[31mred', '\u001b[31mtext', '\u001b[31mhere\u001b[0m']);
+  assert.deepEqual(TextLayout.wrap('a\nb', 10), ['a', 'b']);
+});
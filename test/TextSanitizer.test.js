@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextSanitizer } from '../src/TextSanitizer.js';
+
+test('bidi marks, embeddings, overrides and isolates are removed', () => {
+  for (const code of [0x061c, 0x200e, 0x200f, 0x202a, 0x202b, 0x202c, 0x202d, 0x202e, 0x2066, 0x2067, 0x2068, 0x2069]) {
+    const char = String.fromCharCode(code);
+    assert.equal(TextSanitizer.clean(`a${char}b`), 'ab', code.toString(16));
+    assert.equal(TextSanitizer.cleanName(`eve${char}`), 'eve', code.toString(16));
+  }
+});
+
+test('the raw view spells bidi characters out instead of applying them', () => {
+  assert.equal(TextSanitizer.reveal('a\u200fb\u061cc\u202ed'), 'a\\u200fb\\u061cc\\u202ed');
+});
+
+test('escape sequences are shown instead of run', () => {
+  assert.equal(TextSanitizer.clean('\u001b[2Jgone'), '␛[2Jgone');
+  assert.equal(TextSanitizer.clean('\u001b]0;pwned\u0007'), '␛]0;pwned␇');
+  assert.equal(TextSanitizer.clean('\u001b]52;c;aGk=\u001b\\'), '␛]52;c;aGk=␛\\');
+});
+
+test('C1 controls are shown as the ESC sequences they stand for', () => {
+  assert.equal(TextSanitizer.clean('\u009b31mred'), '␛[31mred'); // CSI
+  assert.equal(TextSanitizer.clean('\u009d0;x\u009c'), '␛]0;x␛\\'); // OSC ... ST
+  assert.equal(TextSanitizer.clean('a\u0085b'), 'a␛Eb'); // NEL
+});
+
+test('other controls become symbols; line breaks are kept in text and shown in names', () => {
+  assert.equal(TextSanitizer.clean('bell\u0007 del\u007f nul\u0000'), 'bell␇ del␡ nul␀');
+  assert.equal(TextSanitizer.clean('one\r\ntwo\rthree\nfour'), 'one\ntwo\nthree\nfour');
+  assert.equal(TextSanitizer.clean('a\tb'), 'a b');
+  assert.equal(TextSanitizer.cleanName('mal\nlory'), 'mal␊lory');
+});
+
+test('piles of combining marks are thinned out', () => {
+  assert.equal(TextSanitizer.clean('e' + '\u0301'.repeat(50)), 'e' + '\u0301'.repeat(4));
+});
+
+test('long text and names are cut off with a note, never inside a surrogate pair', () => {
+  assert.equal(TextSanitizer.clean('x'.repeat(2003)), `${'x'.repeat(2000)}… (3 more characters)`);
+  assert.equal(TextSanitizer.cleanName('n'.repeat(65)), `${'n'.repeat(64)}… (1 more character)`);
+  assert.equal(TextSanitizer.clean('😀😀😀', 5), '😀😀… (1 more character)');
+});
+
+test('the raw view spells out controls and escapes backslashes', () => {
+  assert.equal(TextSanitizer.reveal('\u001b[1m\\ \u200b'), '\\x1b[1m\\\\ \\u200b');
+});
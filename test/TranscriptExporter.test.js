@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TranscriptExporter } from '../src/TranscriptExporter.js';
+
+const entries = [
+  { type: 'chat', name: 'mal\nlory', text: 'hi\u001b[2J\u202eyou', timestamp: 1 },
+  { type: 'joined', name: 'eve\u001b]0;pwned\u0007', timestamp: 2 }
+];
+
+test('text, Markdown and HTML transcripts carry no control characters from names or messages', () => {
+  const exporter = new TranscriptExporter({ room: 'general' });
+  for (const format of ['txt', 'md', 'html']) {
+    const transcript = exporter.export(entries, format);
+    assert.doesNotMatch(transcript, /[\u0000-\u0009\u000b-\u001f\u007f-\u009f\u202a-\u202e]/u, format);
+    assert.match(transcript, /mal␊lory/u, format);
+    assert.match(transcript, /hi␛\[2Jyou|hi␛\\\[2Jyou/u, format);
+  }
+});
+
+test('text transcripts keep one line per entry when a name has a line break', () => {
+  const lines = new TranscriptExporter().export(entries, 'txt').trimEnd().split('\n');
+  assert.equal(lines.length, 2);
+  assert.match(lines[1], /\* eve␛\]0;pwned␇ joined$/u);
+});
+
+test('JSON transcripts keep names and messages as they arrived', () => {
+  const { entries: exported } = JSON.parse(new TranscriptExporter().export(entries, 'json'));
+  assert.equal(exported[0].name, 'mal\nlory');
+  assert.equal(exported[0].text, 'hi\u001b[2J\u202eyou');
+});
@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { UpdateChecker } from '../src/UpdateChecker.js';
+
+let home;
+
+before(() => {
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'bizchat-update-'));
+  process.env.HOME = home;
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+// A checker that finds `latest` on the registry without going online
+function createChecker(latest) {
+  const checker = new UpdateChecker();
+  checker.getLatestVersion = async () => latest;
+  return checker;
+}
+
+test('a check saves the newer version it found', async () => {
+  const checker = createChecker('9.0.0');
+  const result = await checker.checkForUpdates({ quiet: true });
+  assert.equal(result.hasUpdate, true);
+  assert.equal(checker.configManager.getConfig('availableUpdate'), '9.0.0');
+  assert.ok(checker.configManager.getConfig('lastUpdateCheck'));
+});
+
+test('a quiet check hands a failure to save its result to onError instead of the console', async () => {
+  const checker = createChecker('9.0.0');
+  checker.shouldSkipCheck = () => false;
+  checker.configManager.updateConfigAsync = async () => {
+    throw new Error('Timed out waiting for the lock');
+  };
+  const errors = [];
+  const printed = [];
+  const original = console.error;
+  console.error = (...args) => printed.push(args);
+  try {
+    const result = await checker.checkForUpdates({ quiet: true, onError: message => errors.push(message) });
+    assert.equal(result.hasUpdate, true);
+  } finally {
+    console.error = original;
+  }
+  assert.deepEqual(errors, ['Could not save the update check: Timed out waiting for the lock']);
+  assert.equal(printed.length, 0);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { WebSocket } from 'ws';
+import { WebSocketClient, MessageStatus } from '../src/WebSocketClient.js';
+import { ServerEndpoint } from '../src/ServerEndpoint.js';
+
+// A client joined as alice on a socket that just records what is sent, as
+// against workers-chat: no messageIds, so echoes carry no ID
+function createClient(options = {}) {
+  const client = new WebSocketClient(null, options);
+  client.ws = { readyState: WebSocket.OPEN, send: () => {} };
+  client.connected = true;
+  client.ready = true;
+  client.username = 'alice';
+  return client;
+}
+
+const waitFor = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('an echo without an ID that arrives after the ack timeout confirms the failed message', async () => {
+  const client = createClient({ ackTimeout: 10 });
+  const acked = [];
+  client.on('sendFailed', () => {});
+  client.on('acked', id => acked.push(id));
+
+  const id = client.sendMessage('hello');
+  await waitFor(30);
+  assert.equal(client.outgoing.get(id).status, MessageStatus.FAILED);
+
+  assert.equal(client.matchEcho({ name: 'alice', message: 'hello', timestamp: 1 }), id);
+  assert.deepEqual(acked, [id]);
+  assert.equal(client.getFailedMessages().length, 0);
+});
+
+test('late echoes of the same text confirm the oldest failed message first', async () => {
+  const client = createClient({ ackTimeout: 10 });
+  client.on('sendFailed', () => {});
+
+  const first = client.sendMessage('again');
+  const second = client.sendMessage('again');
+  await waitFor(30);
+
+  assert.equal(client.matchEcho({ name: 'alice', message: 'again', timestamp: 1 }), first);
+  assert.equal(client.matchEcho({ name: 'alice', message: 'again', timestamp: 2 }), second);
+  assert.equal(client.outgoing.size, 0);
+});
+
+test('an echo from someone else with the same text confirms nothing', async () => {
+  const client = createClient({ ackTimeout: 10 });
+  client.on('sendFailed', () => {});
+
+  client.sendMessage('hi');
+  await waitFor(30);
+
+  assert.equal(client.matchEcho({ name: 'bob', message: 'hi', timestamp: 1 }), null);
+  assert.equal(client.getFailedMessages().length, 1);
+});
+
+test('a connection that never opens fails with the socket error, not a generic one', async () => {
+  // A port that was free a moment ago, so nothing is listening on it
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+
+  const client = new WebSocketClient(ServerEndpoint.parse(`http://127.0.0.1:${port}`), { maxReconnectAttempts: 0 });
+  client.on('error', () => {});
+  await assert.rejects(client.connect('room', 'alice'), { code: 'ECONNREFUSED' });
+  client.disconnect();
+});